@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * dbsc-svg - Render stroke files to SVG documents from the command line
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { DiskBSpline } = require("../index.js");
+
+const USAGE = `Usage: dbsc-svg render <input...> [options]
+
+Render strokes in the text format (.txt) or JSON format (.json) to one SVG
+document. A JSON file may hold one stroke or an array of strokes. When the
+input is a directory, every .txt and .json file in it is rendered to its own
+SVG file in the output directory.
+
+Options:
+  -o, --output <path>     Output file, or directory in batch mode (default: stdout)
+  --fill <color>          Fill color (default: black)
+  --stroke <color>        Outline color (default: none)
+  --stroke-width <n>      Outline width (default: 1)
+  --padding <n>           Space around the strokes in the viewBox (default: 10)
+  --view-box <box>        Explicit viewBox "minX minY width height"
+  --degree <n|auto>       Degree for text input (default: 3)
+  --tolerance <n>         Chordal tolerance for tessellation (default: adaptive sampling)
+  --skeleton              Overlay the skeleton of each stroke
+  --control-disks         Overlay the control disks of each stroke
+  -h, --help              Show this help
+`;
+
+/**
+ * Parse the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - {command, inputs, options}
+ * @throws {Error} - If an option is unknown or has an invalid value
+ */
+function parseArguments(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      fill: { type: "string", default: "black" },
+      stroke: { type: "string", default: "none" },
+      "stroke-width": { type: "string", default: "1" },
+      padding: { type: "string", default: "10" },
+      "view-box": { type: "string" },
+      degree: { type: "string", default: "3" },
+      tolerance: { type: "string" },
+      skeleton: { type: "boolean", default: false },
+      "control-disks": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const number = (name) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(
+        `--${name} must be a non-negative number, got "${values[name]}"`
+      );
+    }
+    return value;
+  };
+
+  const [command, ...inputs] = positionals;
+  return {
+    command,
+    inputs,
+    help: values.help,
+    options: {
+      output: values.output ?? null,
+      fill: values.fill,
+      stroke: values.stroke,
+      strokeWidth: number("stroke-width"),
+      padding: number("padding"),
+      viewBox: values["view-box"] ?? null,
+      degree: values.degree === "auto" ? "auto" : number("degree"),
+      tolerance:
+        values.tolerance === undefined ? undefined : number("tolerance"),
+      skeleton: values.skeleton,
+      controlDisks: values["control-disks"],
+    },
+  };
+}
+
+/**
+ * Load the strokes in a text or JSON file
+ * @param {string} file - Path of the file
+ * @param {Object} options - Parsed options
+ * @returns {Array} - DiskBSpline instances
+ * @throws {Error} - If the file cannot be read or parsed, with the file name and position
+ */
+function loadStrokes(file, options) {
+  const text = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+    return (Array.isArray(data) ? data : [data]).map((stroke, index) => {
+      try {
+        return DiskBSpline.fromJSON(stroke);
+      } catch (error) {
+        throw new Error(`${file}: stroke ${index}: ${error.message}`);
+      }
+    });
+  }
+
+  try {
+    return [DiskBSpline.parse(text, { degree: options.degree })];
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      const message = error.message.replace(/^Line \d+, column \d+: /, "");
+      throw new Error(`${file}:${error.line}:${error.column}: ${message}`);
+    }
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Escape a value for use inside a double-quoted XML attribute
+ * @param {*} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  const entities = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&apos;",
+  };
+  return String(value).replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+/**
+ * Render strokes into a complete SVG document
+ * @param {Array} splines - DiskBSpline instances
+ * @param {Object} options - Parsed options
+ * @returns {string} - SVG document
+ */
+function renderDocument(splines, options) {
+  const pathOptions =
+    options.tolerance === undefined ? {} : { tolerance: options.tolerance };
+  const results = splines.map((spline) =>
+    spline.toSVGPath(null, pathOptions)
+  );
+
+  let viewBox = options.viewBox;
+  if (!viewBox) {
+    const boxes = splines
+      .filter((spline) => spline.getControlDisks().length > 0)
+      .map((spline) =>
+        options.controlDisks
+          ? spline.getControlBoundingBox()
+          : spline.getBoundingBox()
+      );
+    if (boxes.length === 0) {
+      viewBox = "0 0 0 0";
+    } else {
+      const minX = Math.min(...boxes.map((box) => box.minX));
+      const minY = Math.min(...boxes.map((box) => box.minY));
+      const maxX = Math.max(...boxes.map((box) => box.maxX));
+      const maxY = Math.max(...boxes.map((box) => box.maxY));
+      viewBox = [
+        minX - options.padding,
+        minY - options.padding,
+        maxX - minX + 2 * options.padding,
+        maxY - minY + 2 * options.padding,
+      ].join(" ");
+    }
+  }
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${escapeAttribute(
+      viewBox
+    )}">`,
+  ];
+  const fill = escapeAttribute(options.fill);
+  const stroke = escapeAttribute(options.stroke);
+  const strokeWidth = escapeAttribute(options.strokeWidth);
+  for (const { fillPath } of results) {
+    lines.push(
+      `  <path d="${fillPath}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" />`
+    );
+  }
+  if (options.skeleton) {
+    for (const { skeletonPath } of results) {
+      lines.push(
+        `  <path d="${skeletonPath}" fill="none" stroke="red" stroke-width="1" />`
+      );
+    }
+  }
+  if (options.controlDisks) {
+    for (const spline of splines) {
+      lines.push(`  ${spline.controlDisksToSVG()}`);
+    }
+  }
+  lines.push(`</svg>`, ``);
+
+  return lines.join("\n");
+}
+
+/**
+ * Render every stroke file in a directory to its own SVG file. A file that
+ * cannot be read, parsed or written does not stop the others.
+ * @param {string} directory - Input directory
+ * @param {Object} options - Parsed options; output is the output directory
+ * @returns {Array} - One {file} per written file or {error} per failed input, in order
+ */
+function renderDirectory(directory, options) {
+  const output = options.output ?? directory;
+  fs.mkdirSync(output, { recursive: true });
+
+  const results = [];
+  const files = fs
+    .readdirSync(directory)
+    .filter((name) => /\.(txt|json)$/i.test(name))
+    .sort();
+  for (const name of files) {
+    try {
+      const splines = loadStrokes(path.join(directory, name), options);
+      const target = path.join(output, `${path.parse(name).name}.svg`);
+      fs.writeFileSync(target, renderDocument(splines, options));
+      results.push({ file: target });
+    } catch (error) {
+      results.push({ error });
+    }
+  }
+  return results;
+}
+
+/**
+ * Run the command line tool
+ * @param {Array} argv - Arguments after the script name
+ * @returns {number} - Exit code
+ */
+function main(argv) {
+  // util.parseArgs arrived in Node.js 18.3
+  if (typeof parseArgs !== "function") {
+    process.stderr.write(
+      `dbsc-svg: Node.js 18.3 or later is required, this is ${process.version}\n`
+    );
+    return 1;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArguments(argv);
+  } catch (error) {
+    process.stderr.write(`dbsc-svg: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, inputs, options } = parsed;
+  if (parsed.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (command !== "render" || inputs.length === 0) {
+    process.stderr.write(USAGE);
+    return 2;
+  }
+
+  try {
+    if (inputs.length === 1 && fs.statSync(inputs[0]).isDirectory()) {
+      let failed = false;
+      for (const { file, error } of renderDirectory(inputs[0], options)) {
+        if (error) {
+          process.stderr.write(`dbsc-svg: ${error.message}\n`);
+          failed = true;
+        } else {
+          process.stderr.write(`Wrote ${file}\n`);
+        }
+      }
+      return failed ? 1 : 0;
+    }
+
+    const splines = inputs.flatMap((file) => loadStrokes(file, options));
+    const svg = renderDocument(splines, options);
+    if (options.output) {
+      fs.writeFileSync(options.output, svg);
+    } else {
+      process.stdout.write(svg);
+    }
+    return 0;
+  } catch (error) {
+    process.stderr.write(`dbsc-svg: ${error.message}\n`);
+    return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -12,6 +12,10 @@ interface Point {
 interface ControlDisk {
   center: Point;
   radius: number;
+  /** Rational weight (default: 1) */
+  weight?: number;
+  /** Numeric channels such as color or opacity, interpolated along the curve */
+  attributes?: Record<string, number>;
 }
 
 /**
@@ -22,16 +26,336 @@ interface Normal {
   y: number;
 }
 
+/**
+ * Console-like destination for debug logging
+ */
+interface Logger {
+  log(message: string): void;
+  warn(message: string): void;
+  error(message: string): void;
+}
+
+/**
+ * A structured diagnostic, such as a clamped parameter or a zero-length derivative
+ */
+interface Diagnostic {
+  /** Stable identifier, e.g. "PARAMETER_CLAMPED" or "ZERO_DERIVATIVE" */
+  code: string;
+  severity: "info" | "warning" | "error";
+  /** Parameter value the diagnostic refers to, or null */
+  u: number | null;
+  message: string;
+}
+
+/**
+ * Debug logging and diagnostics options
+ */
+interface LoggingOptions {
+  /** Whether to enable debug logging (default: false) */
+  debug?: boolean;
+  /** Receives debug logging (default: console) */
+  logger?: Logger;
+  /** Element, or id of an element, that debug logging is also appended to (default: none) */
+  logElement?: string | HTMLElement;
+  /** Called for each diagnostic, whether or not debug is on */
+  onDiagnostic?: (diagnostic: Diagnostic) => void;
+  /** Throw on warnings and errors instead of recovering (default: false) */
+  strict?: boolean;
+}
+
 /**
  * Options for creating a DiskBSpline instance
  */
-interface DiskBSplineOptions {
+interface DiskBSplineOptions extends LoggingOptions {
+  /**
+   * Degree of the B-spline, or "auto" for the highest degree up to 3 that the
+   * number of disks allows (default: 3)
+   */
+  degree?: number | "auto";
+  /** Whether the shape should be closed (default: false) */
+  closed?: boolean;
+  /**
+   * Explicit knot vector with controlDisks.length + degree + 1 entries,
+   * counting the degree wrapped disks of a closed shape (default: generated)
+   */
+  knots?: number[];
+  /** Knot spacing when no knots are given (default: "uniform") */
+  parameterization?: Parameterization;
+  /**
+   * Accept control disks with a negative radius, as solved control disks may
+   * have where every radius on the curve is non-negative (default: false)
+   */
+  allowNegativeRadii?: boolean;
+}
+
+/**
+ * Options for DiskBSpline.interpolate
+ */
+interface InterpolateOptions extends LoggingOptions {
   /** Degree of the B-spline (default: 3) */
   degree?: number;
-  /** Whether to enable debug logging (default: false) */
-  debug?: boolean;
+  /** Whether the shape should be closed (default: false) */
+  closed?: boolean;
+  /** Parameter spacing of the interpolated disks (default: "chordLength") */
+  parameterization?: Parameterization;
+  /** Accept disks with a negative radius; the result always allows them (default: false) */
+  allowNegativeRadii?: boolean;
+}
+
+/**
+ * A pointer sample from a pen, touch or mouse stroke
+ */
+interface PointerSample {
+  x: number;
+  y: number;
+  /** Pen pressure from 0 to 1 */
+  pressure?: number;
+  /** Timestamp (not used for fitting) */
+  t?: number;
+}
+
+/**
+ * Options for DiskBSpline.fromSamples
+ */
+interface FromSamplesOptions extends LoggingOptions {
+  /** Maximum centerline distance and radius difference (default: 1) */
+  tolerance?: number;
+  /** Maximum number of control disks (default: 50) */
+  maxDisks?: number;
+  /** Maps a sample's pressure to a radius (default: pressure * 10, missing pressure = 0.5) */
+  radiusFromPressure?: (pressure: number | undefined) => number;
+  /** Degree of the B-spline, lowered if there are too few samples (default: 3) */
+  degree?: number;
+}
+
+/**
+ * Partial update for a control disk
+ */
+interface ControlDiskPatch {
+  center?: Partial<Point>;
+  radius?: number;
+  weight?: number;
+  attributes?: Record<string, number>;
+}
+
+/**
+ * Change notification from the editing methods
+ */
+type ChangeEvent =
+  | {
+      type: "insert" | "remove" | "update";
+      index: number;
+      disk: ControlDisk;
+      spline: DiskBSpline;
+    }
+  | { type: "closed"; closed: boolean; spline: DiskBSpline }
+  | { type: "degree"; degree: number; spline: DiskBSpline }
+  | { type: "knot"; u: number; times: number; spline: DiskBSpline };
+
+/**
+ * Knot spacing: uniform, by center distance, or by the square root of center distance
+ */
+type Parameterization = "uniform" | "chordLength" | "centripetal";
+
+/**
+ * Options for the toSVGPath method
+ */
+interface SVGPathOptions {
+  /** "polyline" emits L segments, "bezier" emits fitted C segments (default: "polyline") */
+  pathType?: "polyline" | "bezier";
+  /** Maximum deviation of fitted Bézier segments from the samples (default: 0.25) */
+  fitTolerance?: number;
+  /** "normal" offsets along the normal, "envelope" uses the exact disk envelope (default: "normal") */
+  boundary?: "normal" | "envelope";
+  /**
+   * "adaptive" samples by curvature, "tolerance" refines until the chordal error is within `tolerance`,
+   * "arcLength" spaces samples evenly along the skeleton (default: "tolerance" if `tolerance` is set, else "adaptive")
+   */
+  sampling?: "adaptive" | "tolerance" | "arcLength";
+  /** Maximum chordal error of the centerline and boundaries for "tolerance" sampling (default: 0.25) */
+  tolerance?: number;
+  /** Maximum refinement depth for "tolerance" sampling (default: 10) */
+  maxDepth?: number;
+  /** Normalized curvature above which "adaptive" sampling adds samples (default: 0.15) */
+  curvatureThreshold?: number;
+  /** Maximum extra samples between two "adaptive" base samples (default: 4) */
+  maxExtraSamples?: number;
+  /** Segments shorter than this are never refined by "adaptive" sampling (default: 0.5) */
+  minSegmentLength?: number;
+  /** Cut self-intersection loops wherever that leaves the filled region unchanged (default: false) */
+  removeLoops?: boolean;
+  /** For closed shapes, "ring" for outer and inner contours or "solid" for the outer contour only (default: "ring") */
+  closedFill?: "ring" | "solid";
+  /** End cap style for both ends, or for each end separately (default: "round") */
+  caps?: CapSpec | { start?: CapSpec; end?: CapSpec };
+  /** Also return the disk attributes as slice polygons or a linear gradient (default: neither) */
+  attributeRendering?: "slices" | "gradient";
+  /** Alternating dash and gap lengths along the skeleton; one outline with caps per dash */
+  dashes?: number[];
+  /** Distance into the dash pattern at the start, as stroke-dashoffset (default: 0) */
+  dashOffset?: number;
+  /** Also return stamps this far apart, or with a spacing and offset */
+  stamps?: number | StampOptions;
+}
+
+/**
+ * Options for placing stamps along the skeleton
+ */
+interface StampOptions {
+  /** Arc length between stamps */
+  spacing?: number;
+  /** Arc length of the first stamp (default: 0) */
+  offset?: number;
+}
+
+/**
+ * A brush stamp along the skeleton
+ */
+interface Stamp {
+  /** Parameter value */
+  u: number;
+  /** Arc length from the start */
+  distance: number;
+  center: Point;
+  radius: number;
+  attributes?: Record<string, number>;
+  /** Unit tangent of the skeleton */
+  tangent: Point;
+  /** Angle of the tangent in radians */
+  angle: number;
+}
+
+/**
+ * Path data of one dash, with its range along the skeleton
+ */
+interface DashPathData extends SVGPathData {
+  /** Arc length where the dash starts; negative for a dash across the seam of a closed shape */
+  start: number;
+  /** Arc length where the dash ends */
+  end: number;
+}
+
+/**
+ * End cap shape
+ */
+type CapStyle = "round" | "butt" | "square" | "pointed" | "tapered" | "arrow";
+
+/**
+ * End cap style with optional size
+ */
+type CapSpec =
+  | CapStyle
+  | {
+      style: CapStyle;
+      /** Distance from the end disk's center to the tip, in radii (default: 1 for "pointed", else 2) */
+      length?: number;
+      /** Half-width of an arrowhead, in radii (default: 2) */
+      width?: number;
+    };
+
+/**
+ * Options for the tessellate method
+ */
+interface TessellateOptions {
+  /** Maximum chordal error in output units (default: 0.25) */
+  tolerance?: number;
+  /** Boundary used for the error check (default: "normal") */
+  boundary?: "normal" | "envelope";
+  /** Intervals to start refining from (default: 4 per knot span) */
+  initialSegments?: number;
+  /** Maximum recursion depth per initial interval (default: 10) */
+  maxDepth?: number;
+}
+
+/**
+ * A tessellation sample with its disk and normal
+ */
+interface TessellationSample {
+  u: number;
+  disk: ControlDisk;
+  normal: Normal;
+}
+
+/**
+ * First derivative of the centerline and radius
+ */
+interface Derivative {
+  x: number;
+  y: number;
+  /** dr/du */
+  radiusRate: number;
+}
+
+/**
+ * Second derivative of the centerline and radius
+ */
+interface SecondDerivative {
+  x: number;
+  y: number;
+  /** d²r/du² */
+  radiusAcceleration: number;
+}
+
+/**
+ * Moving frame of the centerline
+ */
+interface Frame {
+  tangent: Point;
+  normal: Normal;
+  /** Signed curvature, positive when turning toward the normal */
+  curvature: number;
+}
+
+/**
+ * Disk centers and radii stored as parallel typed arrays
+ */
+interface DiskArrays {
+  x: Float64Array;
+  y: Float64Array;
+  radius: Float64Array;
+}
+
+/**
+ * Scratch arrays for basisFunctionsAt, each of length degree + 1
+ */
+interface BasisScratch {
+  values: Float64Array;
+  left: Float64Array;
+  right: Float64Array;
+}
+
+/**
+ * A sample along the curve with its parameter value
+ */
+interface CurveSample {
+  u: number;
+  disk: ControlDisk;
+}
+
+/**
+ * The closest centerline point to a query point
+ */
+interface ClosestPoint extends CurveSample {
+  distance: number;
 }
 
+/**
+ * Axis-aligned bounds
+ */
+interface Bounds {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * A cubic Bézier segment as its four control points
+ */
+type BezierSegment = [Point, Point, Point, Point];
+
 /**
  * SVG path data returned by toSVGPath method
  */
@@ -40,10 +364,225 @@ interface SVGPathData {
   fillPath: string;
   /** SVG path data for the skeleton path */
   skeletonPath: string;
+  /** For closed shapes, the outer contour (clockwise on screen) */
+  outerPath?: string;
+  /** For closed shapes, the inner contour (counterclockwise on screen) */
+  innerPath?: string;
   /** Array of disks along the curve */
   disks: ControlDisk[];
   /** Array of normal vectors at each disk */
   normals: Normal[];
+  /** Degree the curve was drawn with; 0 for the dot drawn for a single disk */
+  degree: number;
+  /** With attributeRendering "slices", one polygon per sample interval and per end cap */
+  slices?: AttributeSlice[];
+  /** With attributeRendering "gradient", a linear gradient along the stroke */
+  gradient?: AttributeGradient;
+  /** With the dashes option, the path data of each dash */
+  dashes?: DashPathData[];
+  /** With the stamps option, the stamps along the skeleton */
+  stamps?: Stamp[];
+}
+
+/**
+ * A piece of the outline with the attributes over it
+ */
+interface AttributeSlice {
+  /** SVG path data for the closed polygon */
+  path: string;
+  attributes: Record<string, number>;
+}
+
+/**
+ * Linear gradient approximating the attributes along a stroke, in user space
+ */
+interface AttributeGradient {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+  /** Stops with non-decreasing offsets from 0 to 1 */
+  stops: { offset: number; attributes: Record<string, number> }[];
+}
+
+/**
+ * Options for attributesToSVG
+ */
+interface AttributeSVGOptions {
+  /** Maps attributes to a CSS color (default: rgb() from red, green and blue from 0 to 255, or black) */
+  colorOf?: (attributes: Record<string, number>) => string;
+  /** Maps attributes to an opacity (default: the opacity attribute, or 1) */
+  opacityOf?: (attributes: Record<string, number>) => number;
+  /** Id of the gradient element (default: "dbsc-gradient") */
+  id?: string;
+}
+
+/**
+ * A problem found while parsing the text format
+ */
+interface ParseError {
+  /** 1-based line number */
+  line: number;
+  /** 1-based column of the offending field */
+  column: number;
+  message: string;
+}
+
+/**
+ * Result of parsing the text format
+ */
+interface ParsedControlDisks {
+  controlDisks: ControlDisk[];
+  closed: boolean;
+  errors: ParseError[];
+}
+
+/**
+ * Versioned JSON format written by toJSON
+ */
+interface DiskBSplineJSON {
+  format: "dbsc-svg";
+  version: 1;
+  degree: number | "auto";
+  closed: boolean;
+  parameterization: Parameterization;
+  /** Explicit knot vector, or null for generated knots */
+  knots: number[] | null;
+  /** Whether control disks may have a negative radius (default: false) */
+  allowNegativeRadii?: boolean;
+  /** Control disks with all their properties */
+  disks: ControlDisk[];
+}
+
+/**
+ * A keyframe for DiskBSpline.animate
+ */
+type Keyframe = DiskBSpline | { spline: DiskBSpline; offset?: number };
+
+/**
+ * Options for DiskBSpline.animate
+ */
+interface AnimateOptions {
+  /** Number of frames, including the first and last keyframe (default: 30) */
+  frames?: number;
+}
+
+/**
+ * Options for rendering animation frames with a shared path structure
+ */
+interface FramePathOptions
+  extends Omit<SVGPathOptions, "sampling" | "pathType" | "removeLoops"> {
+  /** Samples per frame (default: 64) */
+  samples?: number;
+}
+
+/**
+ * Path-building methods shared by CanvasRenderingContext2D and Path2D
+ */
+interface CanvasPathTarget {
+  moveTo(x: number, y: number): void;
+  lineTo(x: number, y: number): void;
+  bezierCurveTo(
+    cp1x: number,
+    cp1y: number,
+    cp2x: number,
+    cp2y: number,
+    x: number,
+    y: number
+  ): void;
+  arc(
+    x: number,
+    y: number,
+    radius: number,
+    startAngle: number,
+    endAngle: number,
+    counterclockwise?: boolean
+  ): void;
+  closePath(): void;
+}
+
+/**
+ * The part of CanvasRenderingContext2D used for drawing
+ */
+interface CanvasTarget extends CanvasPathTarget {
+  fillStyle: unknown;
+  strokeStyle: unknown;
+  lineWidth: number;
+  font: string;
+  beginPath(): void;
+  fill(): void;
+  stroke(): void;
+  save(): void;
+  restore(): void;
+  setLineDash(segments: number[]): void;
+  fillText(text: string, x: number, y: number): void;
+}
+
+/**
+ * Options for toPath2D
+ */
+interface Path2DOptions extends SVGPathOptions {
+  /** Path2D constructor to use (default: the global Path2D) */
+  Path2D?: new () => CanvasPathTarget;
+}
+
+/**
+ * Options for plotter output; lengths are in output units
+ */
+interface PlotterOptions extends SVGPathOptions {
+  /** Output units per user unit (default: 1) */
+  scale?: number;
+  /** User-space point placed at the machine origin (default: {x: 0, y: 0}) */
+  origin?: Point;
+  /** Flip y for machines whose y axis points up (default: true) */
+  flipY?: boolean;
+  /** Width of the line the pen draws (default: 0.5) */
+  penWidth?: number;
+  /** Fill inside the outline (default: "hatch") */
+  fill?: "hatch" | "concentric" | "none";
+  /** Distance between fill lines (default: penWidth) */
+  spacing?: number;
+  /** Angle of the hatch lines in degrees (default: 45) */
+  angle?: number;
+  /** Trace the skeleton with more passes where the stroke is wider, instead of the outline (default: false) */
+  singleLine?: boolean;
+  /** Maximum deviation of flattened arcs and curves (default: 0.05) */
+  flatness?: number;
+  /** Reorder and reverse paths to shorten pen-up moves (default: true) */
+  optimizeTravel?: boolean;
+  /** Output unit (default: "mm") */
+  units?: "mm" | "in";
+}
+
+/**
+ * Options for HPGL output
+ */
+interface HPGLOptions extends PlotterOptions {
+  /** Pen number to select (default: 1) */
+  pen?: number;
+}
+
+/**
+ * Options for G-code output
+ */
+interface GCodeOptions extends PlotterOptions {
+  /** Drawing feed rate (default: 1000) */
+  feedRate?: number;
+  /** Command that lifts the pen (default: "G0 Z5") */
+  penUp?: string;
+  /** Command that lowers the pen (default: "G0 Z0") */
+  penDown?: string;
+  /** Decimal places of coordinates (default: 3) */
+  precision?: number;
+}
+
+/**
+ * A pen-down path in output units
+ */
+interface PlotterPath {
+  /** Points to draw through; a closed path returns to its first point */
+  points: Point[];
+  closed: boolean;
 }
 
 /**
@@ -71,15 +610,346 @@ declare class DiskBSpline {
    * Creates a new DiskBSpline instance
    * @param controlDisks - Array of control disks, each with center (x,y) and radius
    * @param options - Options object
+   * @throws Error if a control disk has a missing or non-finite center or radius,
+   *   or the parameterization is unknown
+   * @throws RangeError if the degree is invalid, a radius is negative without allowNegativeRadii,
+   *   or a weight is not positive
    */
   constructor(controlDisks?: ControlDisk[], options?: DiskBSplineOptions);
 
+  /** Effective degree of the B-spline */
+  degree: number;
+  /** Whether the degree follows the number of disks (degree "auto") */
+  autoDegree: boolean;
+  /** Whether control disks may have a negative radius, as solved control disks may */
+  allowNegativeRadii: boolean;
+  /** Names of the attributes defined on any control disk */
+  attributeNames: string[];
+  /** Whether the shape is closed */
+  closed: boolean;
+  /** Control disks, including the wrapped copies of a closed shape */
+  controlDisks: ControlDisk[];
+  /** Knot vector */
+  knots: number[];
+  /** Knot spacing used when the knots are generated */
+  parameterization: Parameterization;
+
+  /**
+   * Regenerate the knot vector from the constructor options
+   */
+  generateKnots(): void;
+
+  /**
+   * Check that a knot vector is usable for the current control disks and degree
+   * @param knots - Knot vector to check
+   * @throws Error if the knot vector is invalid
+   */
+  validateKnots(knots: number[]): void;
+
+  /**
+   * Check whether any control disk has a weight other than 1
+   * @returns True if the curve is a rational disk B-spline
+   */
+  isRational(): boolean;
+
+  /**
+   * Check that a control disk has a finite center, a non-negative radius and, if given, a positive weight
+   * @param disk - Control disk to check
+   * @param index - Position of the disk, for the error message
+   * @throws Error if the center or radius is missing or not a finite number
+   * @param allowNegativeRadius - Accept a negative radius (default: false)
+   * @throws RangeError if the radius is negative or the weight is not positive
+   */
+  static validateDisk(
+    disk: ControlDisk,
+    index: number,
+    allowNegativeRadius?: boolean
+  ): void;
+
+  /**
+   * Get the degree that degree "auto" uses for a number of disks
+   * @param count - Number of control disks
+   * @returns One less than the number of disks, from 0 up to 3
+   */
+  static autoDegreeFor(count: number): number;
+
+  /** Version of the JSON format written by toJSON */
+  static JSON_VERSION: number;
+
+  /** Default style of controlDisksToSVG and drawControlDisks */
+  static CONTROL_DISK_STYLE: Required<ControlDiskOptions>;
+
+  /**
+   * Parse the text format, skipping and reporting lines with errors
+   * @param text - One "x,y,radius" or "x,y,radius,weight" line per disk, and a final "z" line for closed shapes
+   * @returns Control disks, closed flag and errors with line and column
+   */
+  static parseControlDisks(text: string): ParsedControlDisks;
+
+  /**
+   * Create a DiskBSpline from the text format
+   * @param text - Text to parse
+   * @param options - Constructor options; closed comes from the text
+   * @returns Parsed spline
+   * @throws SyntaxError at the first error, with line and column properties
+   */
+  static parse(text: string, options?: DiskBSplineOptions): DiskBSpline;
+
+  /**
+   * Create a DiskBSpline from the JSON format written by toJSON
+   * @param data - Parsed JSON object or JSON text
+   * @param options - Other constructor options, such as debug
+   * @returns Restored spline
+   * @throws Error if the data is not a supported version of the format
+   */
+  static fromJSON(
+    data: DiskBSplineJSON | string,
+    options?: DiskBSplineOptions
+  ): DiskBSpline;
+
+  /**
+   * Write the control disks in the text format read by parse
+   * @returns Text with one line per control disk
+   */
+  toText(): string;
+
+  /**
+   * Describe the spline as a versioned, JSON-compatible object
+   * @returns Object for JSON.stringify and fromJSON
+   */
+  toJSON(): DiskBSplineJSON;
+
+  /**
+   * Blend two strokes, making them compatible first
+   * @param a - Stroke at t = 0
+   * @param b - Stroke at t = 1
+   * @param t - Blend factor, usually from 0 to 1
+   * @returns Blended stroke
+   * @throws Error if one stroke is open and the other closed
+   */
+  static lerp(a: DiskBSpline, b: DiskBSpline, t: number): DiskBSpline;
+
+  /**
+   * Give two strokes the same degree, knot vector and number of control disks.
+   * Exact for open strokes; closed strokes are resampled.
+   * @param a - First stroke
+   * @param b - Second stroke
+   * @returns New compatible strokes
+   * @throws Error if one stroke is open and the other closed
+   */
+  static makeCompatible(
+    a: DiskBSpline,
+    b: DiskBSpline
+  ): [DiskBSpline, DiskBSpline];
+
+  /**
+   * Generate evenly timed frames that pass through a sequence of keyframes
+   * @param keyframes - At least two strokes, or {spline, offset} with offsets increasing from 0 to 1
+   * @param options - Animation options
+   * @returns Stroke for each frame
+   */
+  static animate(keyframes: Keyframe[], options?: AnimateOptions): DiskBSpline[];
+
+  /**
+   * Render frames to fill paths that all have the same command structure
+   * @param frames - Stroke for each frame
+   * @param options - Path options
+   * @returns Fill path data for each frame
+   * @throws Error if a frame gives a different command structure
+   */
+  static framesToPaths(
+    frames: DiskBSpline[],
+    options?: FramePathOptions
+  ): string[];
+
+  /**
+   * Export frames as the values attribute of an SVG <animate> element
+   * @param frames - Stroke for each frame
+   * @param options - Path options
+   * @returns Path data for each frame separated by semicolons
+   */
+  static toSMILValues(frames: DiskBSpline[], options?: FramePathOptions): string;
+
+  /**
+   * Export frames as a CSS @keyframes rule that animates the "d" property
+   * @param frames - Stroke for each frame
+   * @param name - Animation name
+   * @param options - Path options
+   * @returns CSS @keyframes rule
+   */
+  static toCSSKeyframes(
+    frames: DiskBSpline[],
+    name: string,
+    options?: FramePathOptions
+  ): string;
+
+  /**
+   * Create a DiskBSpline that passes exactly through the centers and radii of the given disks
+   * @param disks - Disks to interpolate
+   * @param options - Interpolation options
+   * @returns Spline with solved control disks and explicit knots
+   * @throws Error if a disk is invalid, there are too few disks for the degree, or the system is singular
+   */
+  static interpolate(
+    disks: ControlDisk[],
+    options?: InterpolateOptions
+  ): DiskBSpline;
+
+  /**
+   * Fit a DiskBSpline to pointer samples such as a pressure-sensitive pen stroke
+   * @param samples - Pointer samples
+   * @param options - Fitting options
+   * @returns Fitted spline with explicit knots over [0, 1]
+   * @throws Error if fewer than two distinct samples are given, or no fit can be solved
+   */
+  static fromSamples(
+    samples: PointerSample[],
+    options?: FromSamplesOptions
+  ): DiskBSpline;
+
+  /**
+   * Refine a parameter value so that the centerline point is closest to a given point
+   * @param point - Point to project
+   * @param u - Starting parameter value
+   * @param iterations - Maximum Newton iterations (default: 4)
+   * @returns Refined parameter value
+   */
+  projectParameter(point: Point, u: number, iterations?: number): number;
+
+  /**
+   * Find the point on the centerline closest to a given point
+   * @param point - Query point
+   * @returns Parameter value, disk at u and distance from the point to the disk center
+   */
+  closestPoint(point: Point): ClosestPoint;
+
+  /**
+   * Signed distance from a point to the outline of the swept disk region,
+   * positive outside and negative inside
+   * @param point - Query point
+   * @returns Signed distance to the outline
+   */
+  distanceToBoundary(point: Point): number;
+
+  /**
+   * Test whether a point lies inside the swept disk region
+   * @param point - Query point
+   * @returns True if the point is inside or on the outline
+   */
+  containsPoint(point: Point): boolean;
+
+  /**
+   * Get the tight bounds of the swept disk region
+   * @returns Bounds of the shape drawn with round caps
+   */
+  getBoundingBox(): Bounds;
+
+  /**
+   * Get bounds that contain every control disk, which also contain the curve
+   * @returns Cheap, conservative bounds
+   */
+  getControlBoundingBox(): Bounds;
+
+  /**
+   * Get an SVG viewBox attribute value that frames the curve
+   * @param padding - Space added on every side (default: 0)
+   * @param bounds - Bounds to frame (default: getBoundingBox())
+   * @returns "minX minY width height"
+   */
+  getViewBox(padding?: number, bounds?: Bounds): string;
+
+  /**
+   * Get the control disks as given by the user, without the wrapped copies of a closed shape
+   * @returns Array of control disks
+   */
+  getControlDisks(): ControlDisk[];
+
+  /**
+   * Subscribe to changes made through the editing methods
+   * @param listener - Called after each change
+   * @returns Call to unsubscribe
+   */
+  onChange(listener: (event: ChangeEvent) => void): () => void;
+
   /**
    * Add a control disk to the B-spline
    * @param disk - Control disk with center (x,y) and radius
    */
   addDisk(disk: ControlDisk): void;
 
+  /**
+   * Insert a control disk before the given index
+   * @param index - Position of the new disk, from 0 to the number of disks
+   * @param disk - Control disk with center (x,y) and radius
+   * @throws RangeError if the index is out of range
+   */
+  insertDisk(index: number, disk: ControlDisk): void;
+
+  /**
+   * Remove the control disk at the given index
+   * @param index - Index of the disk to remove
+   * @returns The removed disk
+   * @throws RangeError if the index is out of range
+   */
+  removeDisk(index: number): ControlDisk;
+
+  /**
+   * Update the control disk at the given index
+   * @param index - Index of the disk to update
+   * @param patch - Properties to change
+   * @returns The updated disk
+   * @throws RangeError if the index is out of range
+   */
+  updateDisk(index: number, patch: ControlDiskPatch): ControlDisk;
+
+  /**
+   * Open or close the shape
+   * @param closed - Whether the shape should be closed
+   */
+  setClosed(closed: boolean): void;
+
+  /**
+   * Change the degree of the B-spline, keeping the control disks
+   * @param degree - New degree, at least 1, or "auto" to follow the number of disks
+   * @throws RangeError if the degree is not a positive integer or "auto"
+   */
+  setDegree(degree: number | "auto"): void;
+
+  /**
+   * Insert a knot without changing the shape of the curve (Boehm's algorithm)
+   * @param u - Parameter value strictly inside the parameter range
+   * @param times - Number of times to insert the knot (default: 1)
+   * @throws RangeError if u is outside the parameter range
+   * @throws Error if the shape is closed, or the knot would be repeated more than degree times
+   */
+  insertKnot(u: number, times?: number): void;
+
+  /**
+   * Raise the degree of the curve without changing its shape
+   * @param times - Number of degrees to add (default: 1)
+   * @throws Error if the shape is closed
+   */
+  elevateDegree(times?: number): void;
+
+  /**
+   * Split the curve in two at parameter u
+   * @param u - Parameter value strictly inside the parameter range
+   * @returns Two curves covering [start, u] and [u, end]
+   * @throws RangeError if u is outside the parameter range
+   * @throws Error if the shape is closed
+   */
+  split(u: number): [DiskBSpline, DiskBSpline];
+
+  /**
+   * Extract the part of the curve between two parameter values as a new open
+   * curve. On closed shapes the part may run across the seam.
+   * @param u0 - Start parameter
+   * @param u1 - End parameter
+   * @returns Curve that reproduces [u0, u1] exactly
+   * @throws RangeError if the parameters do not give a non-empty part of the curve
+   */
+  subcurve(u0: number, u1: number): DiskBSpline;
+
   /**
    * Evaluate the B-spline at parameter u
    * @param u - Parameter value
@@ -87,6 +957,165 @@ declare class DiskBSpline {
    */
   evaluateAt(u: number): ControlDisk;
 
+  /**
+   * Tessellate the B-spline so that the centerline and both boundaries stay
+   * within a chordal error tolerance
+   * @param options - Tessellation options
+   * @returns Samples with aligned parameter values, disks and normals
+   */
+  tessellate(options?: TessellateOptions): TessellationSample[];
+
+  /**
+   * Get the valid parameter range of the curve
+   * @returns Start and end parameter values
+   */
+  getParameterRange(): { start: number; end: number };
+
+  /**
+   * Get the total arc length of the centerline
+   * @returns Length of the skeleton curve
+   */
+  getLength(): number;
+
+  /**
+   * Find the parameter value at a given arc length along the centerline
+   * @param s - Arc length from the start, clamped to [0, getLength()]
+   * @returns Parameter value u
+   */
+  uAtLength(s: number): number;
+
+  /**
+   * Evaluate the B-spline at a given arc length along the centerline
+   * @param s - Arc length from the start
+   * @returns Disk at that distance
+   */
+  evaluateAtLength(s: number): ControlDisk;
+
+  /**
+   * Evaluate the B-spline at a fraction of its total arc length
+   * @param fraction - Fraction of the length, from 0 to 1
+   * @returns Disk at that fraction
+   */
+  pointAtFraction(fraction: number): ControlDisk;
+
+  /**
+   * Place stamps at even distances along the skeleton
+   * @param spacing - Arc length between stamps
+   * @param options - Offset of the first stamp
+   * @returns Stamps with their position, disk and orientation
+   * @throws RangeError if the spacing is not positive or the offset is negative
+   */
+  getStamps(spacing: number, options?: StampOptions): Stamp[];
+
+  /**
+   * Generate a sequence of disks evenly spaced by arc length
+   * @param numSamples - Number of sample points (default: 50)
+   * @returns Samples along the curve with their parameter values
+   */
+  sampleCurveArcLength(numSamples?: number): CurveSample[];
+
+  /**
+   * Find the knot span index containing u
+   * @param u - Parameter value
+   * @returns Knot span index in [degree, n]
+   */
+  findSpan(u: number): number;
+
+  /**
+   * Compute the degree + 1 non-zero basis functions on a knot span
+   * @param span - Knot span index from findSpan
+   * @param u - Parameter value
+   * @param scratch - Optional arrays of length degree + 1 to compute in; values is returned
+   * @returns Values of the basis functions N[span - degree] ... N[span]
+   */
+  basisFunctionsAt(span: number, u: number, scratch?: null): number[];
+  basisFunctionsAt(span: number, u: number, scratch: BasisScratch): Float64Array;
+
+  /**
+   * B-spline basis function N[i] of the curve's degree
+   * @deprecated Use findSpan and basisFunctionsAt
+   * @param i - Index of the basis function
+   * @param k - Degree of the basis function, which must be the curve's degree
+   * @param u - Parameter value
+   * @throws RangeError if k is not the degree of the curve
+   */
+  basisFunction(i: number, k: number, u: number): number;
+
+  /**
+   * Derivative of the B-spline basis function N[i] of the curve's degree
+   * @deprecated Use findSpan and basisFunctionDerivativesAt
+   * @param i - Index of the basis function
+   * @param k - Degree of the basis function, which must be the curve's degree
+   * @param u - Parameter value
+   * @throws RangeError if k is not the degree of the curve
+   */
+  basisFunctionDerivative(i: number, k: number, u: number): number;
+
+  /**
+   * Check the degree passed to basisFunction and basisFunctionDerivative
+   * @throws RangeError if k is not the degree of the curve
+   */
+  checkBasisDegree(k: number): void;
+
+  /**
+   * Compute the non-zero basis functions on a knot span and their derivatives
+   * @param span - Knot span index from findSpan
+   * @param u - Parameter value
+   * @param order - Highest derivative order to compute
+   * @returns ders[d][j] is the d-th derivative of N[span - degree + j]
+   */
+  basisFunctionDerivativesAt(span: number, u: number, order: number): number[][];
+
+  /**
+   * Evaluate the first derivative of the B-spline at parameter u
+   * @param u - Parameter value
+   * @returns Derivative vector and radius change rate
+   */
+  evaluateDerivativeAt(u: number): Derivative;
+
+  /**
+   * Evaluate the second derivative of the B-spline at parameter u
+   * @param u - Parameter value
+   * @returns Second derivative vector and d²r/du²
+   */
+  evaluateSecondDerivativeAt(u: number): SecondDerivative;
+
+  /**
+   * Evaluate the centerline and radius together with their derivatives
+   * @param u - Parameter value
+   * @param order - Highest derivative order to compute
+   * @returns Entry d holds the d-th derivative
+   */
+  evaluateDerivativesAt(
+    u: number,
+    order: number
+  ): { x: number; y: number; radius: number }[];
+
+  /**
+   * Calculate the signed curvature of the centerline at parameter u
+   * @param u - Parameter value
+   * @returns Signed curvature, positive when turning toward the normal
+   */
+  curvatureAt(u: number): number;
+
+  /**
+   * Calculate the moving frame of the centerline at parameter u
+   * @param u - Parameter value
+   * @returns Unit tangent, unit normal and signed curvature
+   */
+  frameAt(u: number): Frame;
+
+  /**
+   * Evaluate the B-spline at many parameter values at once
+   * @param us - Parameter values
+   * @param out - Optional output arrays to fill instead of allocating new ones
+   * @returns Typed arrays with one entry per parameter value
+   */
+  evaluateMany(
+    us: ArrayLike<number>,
+    out?: DiskArrays | null
+  ): DiskArrays;
+
   /**
    * Generate a sequence of disks along the B-spline
    * @param numSamples - Number of sample points
@@ -97,13 +1126,31 @@ declare class DiskBSpline {
   /**
    * Convert the B-spline to SVG path elements
    * @param numSamples - Number of sample points
-   * @param options - Additional options (unused currently)
+   * @param options - Output options
    * @returns SVG path data including fill path, skeleton path, disks, and normals
+   * @throws RangeError if the dash pattern or stamp spacing is invalid
    */
-  toSVGPath(
-    numSamples?: number,
-    options?: Record<string, unknown>
-  ): SVGPathData;
+  toSVGPath(numSamples?: number | null, options?: SVGPathOptions): SVGPathData;
+
+  /**
+   * Create a path of fitted cubic Bézier segments through a sequence of points
+   * @param points - Array of points along the curve
+   * @param tolerance - Maximum distance between the points and the fitted curve (default: 0.25)
+   * @returns SVG path string
+   */
+  createBezierPath(points: Point[], tolerance?: number): string;
+
+  /**
+   * Fit a chain of cubic Bézier segments to a sequence of points
+   * @param points - Array of points along the curve
+   * @param tolerance - Maximum distance between the points and the fitted curve (default: 0.25)
+   * @returns Array of Bézier segments
+   */
+  fitCubicBezier(
+    points: Point[],
+    tolerance?: number,
+    closed?: boolean
+  ): BezierSegment[];
 
   /**
    * Generate circles for visualizing the control disks
@@ -111,6 +1158,79 @@ declare class DiskBSpline {
    * @returns SVG elements for control disks
    */
   controlDisksToSVG(options?: ControlDiskOptions): string;
+
+  /**
+   * Trace SVG path data from this class onto a canvas context or Path2D
+   * @param pathData - SVG path data with absolute M, L, C, A and Z commands and circular arcs
+   * @param target - Canvas context, Path2D, or any object with the same methods
+   * @returns The target
+   * @throws Error if the path data has another command or a malformed number
+   */
+  renderPath<T extends CanvasPathTarget>(pathData: string, target: T): T;
+
+  /**
+   * Fill the outline of the curve on a canvas with the context's current fill style
+   * @param ctx - Canvas context
+   * @param numSamples - Base number of sample points
+   * @param options - toSVGPath options
+   * @returns The path data from toSVGPath
+   */
+  drawPath(
+    ctx: CanvasTarget,
+    numSamples?: number | null,
+    options?: SVGPathOptions
+  ): SVGPathData;
+
+  /**
+   * Build a Path2D of the outline
+   * @param numSamples - Base number of sample points
+   * @param options - toSVGPath options and the Path2D constructor
+   * @returns Path2D of the fill path
+   * @throws Error if there is no Path2D constructor
+   */
+  toPath2D(
+    numSamples?: number | null,
+    options?: Path2DOptions
+  ): CanvasPathTarget;
+
+  /**
+   * Draw the control disks on a canvas, as controlDisksToSVG does in SVG
+   * @param ctx - Canvas context
+   * @param options - Visual options for control disks
+   */
+  drawControlDisks(ctx: CanvasTarget, options?: ControlDiskOptions): void;
+
+  /**
+   * Convert the stroke to pen paths for a plotter or engraver
+   * @param options - Fill, pen, scale and toSVGPath options
+   * @returns Paths in output units, in drawing order
+   * @throws RangeError if a length option is not positive or the fill is unknown
+   */
+  toPlotterPaths(options?: PlotterOptions): PlotterPath[];
+
+  /**
+   * Export the plotter paths as HPGL, in plotter units of 0.025 mm
+   * @param options - Plotter options and the pen number
+   * @returns HPGL program, one instruction per line
+   * @throws RangeError if the units are unknown
+   */
+  toHPGL(options?: HPGLOptions): string;
+
+  /**
+   * Export the plotter paths as G-code with absolute coordinates
+   * @param options - Plotter options, feed rate and pen commands
+   * @returns G-code program, one command per line
+   * @throws RangeError if the units are unknown
+   */
+  toGCode(options?: GCodeOptions): string;
+
+  /**
+   * Render the slices or gradient from toSVGPath as SVG elements
+   * @param pathData - Result of toSVGPath with attributeRendering set
+   * @param options - Color, opacity and gradient id options
+   * @returns SVG elements
+   */
+  attributesToSVG(pathData: SVGPathData, options?: AttributeSVGOptions): string;
 }
 
 export {
@@ -120,5 +1240,47 @@ export {
   Normal,
   DiskBSplineOptions,
   SVGPathData,
+  SVGPathOptions,
+  BezierSegment,
+  CurveSample,
+  ClosestPoint,
+  Logger,
+  Diagnostic,
+  LoggingOptions,
+  ParseError,
+  ParsedControlDisks,
+  DiskBSplineJSON,
+  Keyframe,
+  AnimateOptions,
+  FramePathOptions,
+  Bounds,
+  DiskArrays,
+  BasisScratch,
+  Derivative,
+  SecondDerivative,
+  Frame,
+  Parameterization,
+  CapStyle,
+  ControlDiskPatch,
+  ChangeEvent,
+  CapSpec,
+  InterpolateOptions,
+  PointerSample,
+  FromSamplesOptions,
+  TessellateOptions,
+  TessellationSample,
   ControlDiskOptions,
+  AttributeSlice,
+  AttributeGradient,
+  AttributeSVGOptions,
+  StampOptions,
+  Stamp,
+  DashPathData,
+  CanvasPathTarget,
+  CanvasTarget,
+  Path2DOptions,
+  PlotterOptions,
+  HPGLOptions,
+  GCodeOptions,
+  PlotterPath,
 };
@@ -7,27 +7,65 @@ class DiskBSpline {
    * Creates a new DiskBSpline instance
    * @param {Array} controlDisks - Array of control disks, each with center (x,y) and radius
    * @param {Object} options - Options object
-   * @param {number} options.degree - Degree of the B-spline (default: 3)
+   * @param {number|string} options.degree - Degree of the B-spline, or "auto" for the highest
+   *   degree up to 3 that the number of disks allows (default: 3)
    * @param {boolean} options.debug - Whether to enable debug logging (default: false)
+   * @param {Object} options.logger - Console-like object with log, warn and error methods
+   *   that receives debug logging (default: console)
+   * @param {string|Object} options.logElement - Element, or id of an element, that debug
+   *   logging is also appended to; the DOM is only touched when this is given (default: null)
+   * @param {Function} options.onDiagnostic - Called with {code, severity, u, message} for each
+   *   diagnostic, whether or not debug is on (default: null)
+   * @param {boolean} options.strict - Throw on warnings and errors instead of recovering (default: false)
    * @param {boolean} options.closed - Whether the shape should be closed (default: false)
+   * @param {Array} options.knots - Explicit knot vector with controlDisks.length + degree + 1 entries,
+   *   counting the degree wrapped disks of a closed shape (default: generated)
+   * @param {string} options.parameterization - Knot spacing when no knots are given: "uniform",
+   *   "chordLength" or "centripetal" (default: "uniform")
+   * @param {boolean} options.allowNegativeRadii - Accept control disks with a negative radius, as
+   *   solved control disks may have where every radius on the curve is non-negative (default: false)
+   *
+   * Control disks may carry a `weight` (default: 1); any weight other than 1
+   * makes the curve a rational disk B-spline.
+   * @throws {Error} - If a control disk has a missing or non-finite center or radius,
+   *   or the parameterization is unknown
+   * @throws {RangeError} - If the degree is not a positive integer or "auto",
+   *   a radius is negative without allowNegativeRadii, or a weight is not positive
    */
   constructor(controlDisks = [], options = {}) {
-    this.degree = options.degree ?? 3;
-    this.debug = options.debug ?? false;
+    this.autoDegree = options.degree === "auto";
+    this.degree = this.autoDegree
+      ? DiskBSpline.autoDegreeFor(controlDisks.length)
+      : options.degree ?? 3;
+    if (!this.autoDegree) {
+      DiskBSpline.checkDegree(this.degree);
+    }
+    this.configureLogging(options);
     this.closed = options.closed ?? false;
-
-    // For closed shapes, wrap the first degree control points at the end
-    if (this.closed && controlDisks.length > this.degree) {
-      this.controlDisks = [...controlDisks];
-      for (let i = 0; i < this.degree; i++) {
-        this.controlDisks.push(controlDisks[i]);
-      }
-    } else {
-      this.controlDisks = controlDisks;
+    this.parameterization = options.parameterization ?? "uniform";
+    if (
+      !["uniform", "chordLength", "centripetal"].includes(this.parameterization)
+    ) {
+      throw new Error(`Unknown parameterization "${this.parameterization}"`);
     }
 
+    this.allowNegativeRadii = options.allowNegativeRadii ?? false;
+
+    controlDisks.forEach((disk, index) =>
+      DiskBSpline.validateDisk(disk, index, this.allowNegativeRadii)
+    );
+    this.listeners = [];
+    this.sourceDisks = [...controlDisks];
+    this.wrapControlDisks();
+
     this.knots = [];
-    this.generateUniformKnots();
+    this.arcLengthTable = null;
+    this.explicitKnots = null;
+    if (options.knots) {
+      this.validateKnots(options.knots);
+      this.explicitKnots = [...options.knots];
+    }
+    this.generateKnots();
 
     // Debug logging
     if (this.debug) {
@@ -56,655 +94,5390 @@ class DiskBSpline {
   }
 
   /**
-   * Log messages to the debug console
-   * @param {string} message - Message to log
+   * Check that a control disk has a finite center, a non-negative radius
+   * and, if given, a positive weight and finite attributes
+   * @param {Object} disk - Control disk to check
+   * @param {number} index - Position of the disk, for the error message
+   * @param {boolean} allowNegativeRadius - Accept a negative radius (default: false)
+   * @throws {Error} - If the center, radius or an attribute is missing or not a finite number
+   * @throws {RangeError} - If the radius is negative or the weight is not positive
    */
-  logMessage(message) {
-    if (!this.debug) return;
+  static validateDisk(disk, index, allowNegativeRadius = false) {
+    const values = {
+      "center.x": disk?.center?.x,
+      "center.y": disk?.center?.y,
+      radius: disk?.radius,
+    };
+    if (disk?.weight !== undefined) values.weight = disk.weight;
 
-    const logElement = document.getElementById("log");
-    if (logElement) {
-      const logEntry = document.createElement("div");
-      logEntry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
-      logElement.appendChild(logEntry);
-      logElement.scrollTop = logElement.scrollHeight;
+    for (const [name, value] of Object.entries(values)) {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(
+          `Control disk ${index} has an invalid ${name}: ${value}`
+        );
+      }
+    }
+    if (disk.radius < 0 && !allowNegativeRadius) {
+      throw new RangeError(
+        `Control disk ${index} has a negative radius: ${disk.radius}`
+      );
+    }
+    if (disk.weight !== undefined && disk.weight <= 0) {
+      throw new RangeError(
+        `Control disk ${index} has a weight that is not positive: ${disk.weight}`
+      );
+    }
+    for (const [name, value] of Object.entries(disk.attributes ?? {})) {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(
+          `Control disk ${index} has an invalid attribute ${name}: ${value}`
+        );
+      }
     }
-    console.log(message);
   }
 
   /**
-   * Add a control disk to the B-spline
-   * @param {Object} disk - Control disk with center (x,y) and radius
+   * Check that a degree is a positive integer
+   * @param {number} degree - Degree to check
+   * @throws {RangeError} - If the degree is not a positive integer
    */
-  addDisk(disk) {
-    this.controlDisks.push(disk);
-    this.generateUniformKnots();
-    this.logMessage(
-      `Added disk at (${disk.center.x}, ${disk.center.y}) with radius ${disk.radius}`
-    );
-    this.logMessage(`New knot vector: [${this.knots.join(", ")}]`);
+  static checkDegree(degree) {
+    if (!Number.isInteger(degree) || degree < 1) {
+      throw new RangeError(`Degree must be a positive integer, got ${degree}`);
+    }
   }
 
   /**
-   * Generate uniform knot vector for the B-spline
+   * Get the degree that degree "auto" uses for a number of disks: one less
+   * than the number of disks, up to 3. A single disk gives degree 0, which
+   * is drawn as a dot.
+   * @param {number} count - Number of user-facing control disks
+   * @returns {number} - Degree from 0 to 3
    */
-  generateUniformKnots() {
-    const n = this.controlDisks.length - 1;
-    const k = this.degree;
+  static autoDegreeFor(count) {
+    return Math.max(0, Math.min(3, count - 1));
+  }
 
-    if (n < k) {
-      this.logMessage(
-        `WARNING: Not enough control points (${
-          n + 1
-        }) for the specified degree (${k})`
-      );
-      return;
-    }
+  /**
+   * Parse the text format: one "x,y,radius" or "x,y,radius,weight" line per
+   * control disk, and a final "z" line for closed shapes. Blank lines are
+   * ignored. Lines with errors are skipped and reported.
+   * @param {string} text - Text to parse
+   * @returns {Object} - {controlDisks, closed, errors}, each error {line, column, message}
+   *   with 1-based line and column
+   */
+  static parseControlDisks(text) {
+    const controlDisks = [];
+    const errors = [];
+    let closed = false;
 
-    this.knots = [];
+    text.split(/\r?\n/).forEach((source, index) => {
+      const line = index + 1;
+      const trimmed = source.trim();
+      if (trimmed === "") return;
 
-    if (this.closed) {
-      // For closed shapes, create a periodic knot vector
-      const numKnots = this.controlDisks.length + k + 1;
-      for (let i = 0; i < numKnots; i++) {
-        this.knots.push(i - k);
+      const indent = source.length - source.trimStart().length;
+      if (trimmed.toLowerCase() === "z") {
+        if (closed) {
+          errors.push({ line, column: indent + 1, message: `Repeated "z"` });
+        }
+        closed = true;
+        return;
       }
-    } else {
-      // Original open shape logic
-      for (let i = 0; i <= n + k + 1; i++) {
-        if (i < k + 1) {
-          this.knots.push(0);
-        } else if (i > n) {
-          this.knots.push(n - k + 1);
-        } else {
-          this.knots.push(i - k);
+      if (closed) {
+        errors.push({
+          line,
+          column: indent + 1,
+          message: `Control disk after "z", which must be the last line`,
+        });
+        return;
+      }
+
+      const fields = source.split(",");
+      if (fields.length < 3 || fields.length > 4) {
+        errors.push({
+          line,
+          column: indent + 1,
+          message: `Expected x,y,radius or x,y,radius,weight, got ${fields.length} field(s)`,
+        });
+        return;
+      }
+
+      const names = ["x", "y", "radius", "weight"];
+      // Plain decimals only; Number() would also take "0x10" or "0b1"
+      const decimal = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+      const values = [];
+      let column = 1;
+      for (let i = 0; i < fields.length; i++) {
+        const field = fields[i];
+        const value = decimal.test(field.trim()) ? Number(field) : NaN;
+        const fieldColumn =
+          column + field.length - field.trimStart().length;
+        column += field.length + 1;
+
+        let message = null;
+        if (!Number.isFinite(value)) {
+          message = `Expected a number for ${names[i]}, got "${field.trim()}"`;
+        } else if (i === 2 && value < 0) {
+          message = `Radius must not be negative, got ${value}`;
+        } else if (i === 3 && value <= 0) {
+          message = `Weight must be positive, got ${value}`;
+        }
+        if (message) {
+          errors.push({ line, column: fieldColumn, message });
+          return;
         }
+        values.push(value);
       }
-    }
 
-    if (this.debug) {
-      this.logMessage(`Generated knot vector: [${this.knots.join(", ")}]`);
-    }
+      const [x, y, radius, weight] = values;
+      const disk = { center: { x, y }, radius };
+      if (weight !== undefined) disk.weight = weight;
+      controlDisks.push(disk);
+    });
+
+    return { controlDisks, closed, errors };
   }
 
   /**
-   * B-spline basis function
-   * @param {number} i - Index of the basis function
-   * @param {number} k - Degree of the basis function
-   * @param {number} u - Parameter value
-   * @returns {number} - Value of the basis function
+   * Create a DiskBSpline from the text format, see parseControlDisks
+   * @param {string} text - Text to parse
+   * @param {Object} options - Constructor options; closed comes from the text
+   * @returns {DiskBSpline} - Parsed spline
+   * @throws {SyntaxError} - At the first error, with line and column properties
    */
-  basisFunction(i, k, u) {
-    // Base case for recursion
-    if (k === 0) {
-      // Special case for the endpoint in open shapes
-      if (
-        !this.closed &&
-        u === this.knots[this.knots.length - 1] &&
-        i === this.knots.length - k - 2
-      ) {
-        return 1;
-      }
-      return u >= this.knots[i] && u < this.knots[i + 1] ? 1 : 0;
+  static parse(text, options = {}) {
+    const { controlDisks, closed, errors } =
+      DiskBSpline.parseControlDisks(text);
+    if (errors.length > 0) {
+      const { line, column, message } = errors[0];
+      const error = new SyntaxError(
+        `Line ${line}, column ${column}: ${message}`
+      );
+      error.line = line;
+      error.column = column;
+      throw error;
     }
+    return new DiskBSpline(controlDisks, { ...options, closed });
+  }
 
-    // Calculate the coefficient for the first term
-    let coeff1 = 0;
-    if (this.knots[i + k] - this.knots[i] !== 0) {
-      coeff1 = (u - this.knots[i]) / (this.knots[i + k] - this.knots[i]);
+  /**
+   * Create a DiskBSpline from the JSON format written by toJSON
+   * @param {Object|string} data - Parsed JSON object or JSON text
+   * @param {Object} options - Other constructor options, such as debug
+   * @returns {DiskBSpline} - Restored spline
+   * @throws {Error} - If the data is not a supported version of the format
+   */
+  static fromJSON(data, options = {}) {
+    if (typeof data === "string") {
+      data = JSON.parse(data);
     }
-
-    // Calculate the coefficient for the second term
-    let coeff2 = 0;
-    if (this.knots[i + k + 1] - this.knots[i + 1] !== 0) {
-      coeff2 =
-        (this.knots[i + k + 1] - u) /
-        (this.knots[i + k + 1] - this.knots[i + 1]);
+    if (data?.format !== "dbsc-svg" || !Array.isArray(data.disks)) {
+      throw new Error(`Not a dbsc-svg JSON document`);
+    }
+    if (data.version !== DiskBSpline.JSON_VERSION) {
+      throw new Error(
+        `Unsupported dbsc-svg JSON version ${data.version}, expected ${DiskBSpline.JSON_VERSION}`
+      );
     }
 
-    // Recursive formula for B-spline basis
-    return (
-      coeff1 * this.basisFunction(i, k - 1, u) +
-      coeff2 * this.basisFunction(i + 1, k - 1, u)
-    );
+    return new DiskBSpline(data.disks, {
+      ...options,
+      allowNegativeRadii: data.allowNegativeRadii ?? false,
+      degree: data.degree,
+      closed: data.closed,
+      parameterization: data.parameterization,
+      knots: data.knots ?? undefined,
+    });
   }
 
   /**
-   * Calculate the derivative of the B-spline basis function
-   * @param {number} i - Index of the basis function
-   * @param {number} k - Degree of the basis function
-   * @param {number} u - Parameter value
-   * @returns {number} - Value of the derivative of the basis function
+   * Blend two strokes: t = 0 gives a, t = 1 gives b. Strokes with different
+   * degrees, knots or disk counts are made compatible first, see makeCompatible.
+   * @param {DiskBSpline} a - Stroke at t = 0
+   * @param {DiskBSpline} b - Stroke at t = 1
+   * @param {number} t - Blend factor, usually from 0 to 1
+   * @returns {DiskBSpline} - Blended stroke, with the logging options of a
+   * @throws {Error} - If one stroke is open and the other closed
    */
-  basisFunctionDerivative(i, k, u) {
-    if (k === 0) return 0;
-
-    // Calculate the first term coefficient
-    let coeff1 = 0;
-    if (this.knots[i + k] - this.knots[i] !== 0) {
-      coeff1 = k / (this.knots[i + k] - this.knots[i]);
-    }
-
-    // Calculate the second term coefficient
-    let coeff2 = 0;
-    if (this.knots[i + k + 1] - this.knots[i + 1] !== 0) {
-      coeff2 = k / (this.knots[i + k + 1] - this.knots[i + 1]);
-    }
-
-    // Use the derivative formula for B-spline basis functions
-    return (
-      coeff1 * this.basisFunction(i, k - 1, u) -
-      coeff2 * this.basisFunction(i + 1, k - 1, u)
-    );
+  static lerp(a, b, t) {
+    const [compatibleA, compatibleB] = DiskBSpline.makeCompatible(a, b);
+    return DiskBSpline.blendCompatible(compatibleA, compatibleB, t);
   }
 
   /**
-   * Evaluate the B-spline at parameter u
-   * @param {number} u - Parameter value
-   * @returns {Object} - Disk at parameter u with center (x,y) and radius
+   * Give two strokes the same degree, knot vector and number of control
+   * disks without changing their shapes. Open strokes are clamped to the
+   * parameter range [0, 1], the lower degree is elevated and each knot
+   * vector gets the knots of the other inserted, so the result is exact.
+   * Closed strokes are resampled at matching fractions of their arc length
+   * and interpolated with uniform knots, which is close but not exact.
+   * @param {DiskBSpline} a - First stroke
+   * @param {DiskBSpline} b - Second stroke
+   * @returns {Array} - New compatible strokes [a, b]; the inputs are not changed
+   * @throws {Error} - If one stroke is open and the other closed
    */
-  evaluateAt(u) {
-    if (this.controlDisks.length < this.degree + 1) {
-      this.logMessage(
-        `ERROR: Not enough control points (${this.controlDisks.length}) for the specified degree (${this.degree})`
-      );
-      return { center: { x: 0, y: 0 }, radius: 0 };
+  static makeCompatible(a, b) {
+    if (a.closed !== b.closed) {
+      throw new Error(`Cannot blend an open shape with a closed shape`);
     }
+    const degree = Math.max(a.degree, b.degree);
 
-    const n = this.controlDisks.length - 1;
+    if (a.closed) {
+      const count =
+        2 * Math.max(a.sourceDisks.length, b.sourceDisks.length, degree + 1);
+      return [a, b].map((spline) => {
+        const disks = [];
+        for (let i = 0; i < count; i++) {
+          const { center, radius } = spline.pointAtFraction(i / count);
+          disks.push({ center: { ...center }, radius });
+        }
+        return DiskBSpline.interpolate(disks, {
+          ...spline.getLoggingOptions(),
+          allowNegativeRadii: spline.allowNegativeRadii,
+          degree,
+          closed: true,
+          parameterization: "uniform",
+        });
+      });
+    }
 
-    // Handle parameter wrapping for closed shapes or endpoint for open shapes
-    if (this.closed) {
-      const period = this.knots[n + 1] - this.knots[this.degree];
-      u = this.knots[this.degree] + ((u - this.knots[this.degree]) % period);
-    } else {
-      // For open shapes, handle endpoint exactly
-      const originalU = u;
-      if (u >= this.knots[n + 1]) {
-        // At the endpoint, return the last control point
-        return this.controlDisks[n];
+    const [compatibleA, compatibleB] = [a, b].map((spline) => {
+      const { start, end } = spline.getParameterRange();
+      const clamped = spline.subcurve(start, end);
+      const result = new DiskBSpline(clamped.getControlDisks(), {
+        ...spline.getLoggingOptions(),
+        allowNegativeRadii: spline.allowNegativeRadii,
+        degree: clamped.degree,
+        parameterization: spline.parameterization,
+        knots: clamped.knots.map((knot) => (knot - start) / (end - start)),
+      });
+      if (result.degree < degree) {
+        result.elevateDegree(degree - result.degree);
       }
-      u = Math.max(this.knots[this.degree], Math.min(u, this.knots[n + 1]));
+      return result;
+    });
 
-      if (originalU !== u) {
-        this.logMessage(`Parameter u=${originalU} clamped to u=${u}`);
+    // Insert the knots of each stroke that the other is missing
+    const multiplicities = (knots) => {
+      const counts = new Map();
+      for (const knot of knots) {
+        counts.set(knot, (counts.get(knot) ?? 0) + 1);
       }
-    }
+      return counts;
+    };
+    const merge = (target, source) => {
+      const have = multiplicities(target.knots);
+      for (const [knot, count] of multiplicities(source.knots)) {
+        const missing = count - (have.get(knot) ?? 0);
+        if (knot > 0 && knot < 1 && missing > 0) {
+          target.insertKnot(knot, missing);
+        }
+      }
+    };
+    merge(compatibleA, compatibleB);
+    merge(compatibleB, compatibleA);
 
-    let centerX = 0;
-    let centerY = 0;
-    let radius = 0;
-    let totalBasis = 0;
+    return [compatibleA, compatibleB];
+  }
 
-    // Calculate the weighted sum of control disks
-    for (let i = 0; i <= n; i++) {
-      const basis = this.basisFunction(i, this.degree, u);
-      totalBasis += basis;
-      centerX += basis * this.controlDisks[i].center.x;
-      centerY += basis * this.controlDisks[i].center.y;
-      radius += basis * this.controlDisks[i].radius;
-    }
+  /**
+   * Blend two compatible strokes by blending their control disks, including
+   * their attributes, and knots
+   * @param {DiskBSpline} a - Stroke at t = 0
+   * @param {DiskBSpline} b - Stroke at t = 1, with the same degree and disk count as a
+   * @param {number} t - Blend factor
+   * @returns {DiskBSpline} - Blended stroke
+   */
+  static blendCompatible(a, b, t) {
+    const mix = (from, to) => from + (to - from) * t;
+    const rational = a.isRational() || b.isRational();
+    const disksB = b.getControlDisks();
 
-    // Log if basis functions don't sum to 1 (within floating point error)
-    if (Math.abs(totalBasis - 1) > 0.0001) {
-      this.logMessage(
-        `WARNING: Basis functions sum to ${totalBasis} at u=${u}, should be 1`
-      );
-    }
+    const disks = a.getControlDisks().map((diskA, i) => {
+      const diskB = disksB[i];
+      const disk = {
+        center: {
+          x: mix(diskA.center.x, diskB.center.x),
+          y: mix(diskA.center.y, diskB.center.y),
+        },
+        radius: mix(diskA.radius, diskB.radius),
+      };
+      if (rational) {
+        disk.weight = mix(diskA.weight ?? 1, diskB.weight ?? 1);
+      }
+      if (diskA.attributes || diskB.attributes) {
+        // An attribute on only one side keeps its value
+        const from = diskA.attributes ?? {};
+        const to = diskB.attributes ?? {};
+        disk.attributes = {};
+        const names = new Set([...Object.keys(from), ...Object.keys(to)]);
+        for (const name of names) {
+          disk.attributes[name] = mix(
+            from[name] ?? to[name],
+            to[name] ?? from[name]
+          );
+        }
+      }
+      return disk;
+    });
 
-    return {
-      center: { x: centerX, y: centerY },
-      radius: radius,
-    };
+    const knots =
+      a.explicitKnots && b.explicitKnots
+        ? a.knots.map((knot, i) => mix(knot, b.knots[i]))
+        : undefined;
+    return new DiskBSpline(disks, {
+      ...a.getLoggingOptions(),
+      allowNegativeRadii: a.allowNegativeRadii || b.allowNegativeRadii,
+      degree: a.degree,
+      closed: a.closed,
+      parameterization: a.parameterization,
+      knots,
+    });
   }
 
   /**
-   * Evaluate the derivative of the B-spline at parameter u
-   * @param {number} u - Parameter value
-   * @returns {Object} - Derivative vector {x, y} and radius change rate
+   * Generate evenly timed frames that pass through a sequence of keyframes
+   * @param {Array} keyframes - At least two DiskBSpline instances, or {spline, offset}
+   *   objects with offsets increasing from 0 to 1 (default: evenly spaced)
+   * @param {Object} options - Options object
+   * @param {number} options.frames - Number of frames, including the first and last keyframe (default: 30)
+   * @returns {Array} - DiskBSpline for each frame
+   * @throws {Error} - If there are fewer than two keyframes, the offsets do not
+   *   increase, or open and closed shapes are mixed
    */
-  evaluateDerivativeAt(u) {
-    if (this.controlDisks.length < this.degree + 1) {
-      return { x: 0, y: 0, radiusRate: 0 };
+  static animate(keyframes, options = {}) {
+    const frameCount = Math.max(2, options.frames ?? 30);
+    if (keyframes.length < 2) {
+      throw new Error(`Need at least 2 keyframes, got ${keyframes.length}`);
     }
 
-    const n = this.controlDisks.length - 1;
-
-    // Handle parameter wrapping/clamping
-    if (this.closed) {
-      const period = this.knots[n + 1] - this.knots[this.degree];
-      u = this.knots[this.degree] + ((u - this.knots[this.degree]) % period);
-    } else {
-      // For open curves, special handling of endpoints
-      if (u >= this.knots[n + 1]) {
-        // At the end point, use the direction from the second-to-last to last control point
-        const last = this.controlDisks[n];
-        const secondToLast = this.controlDisks[n - 1];
-        const dx = last.center.x - secondToLast.center.x;
-        const dy = last.center.y - secondToLast.center.y;
-        const dr = last.radius - secondToLast.radius;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        if (length > 0.0001) {
-          return {
-            x: dx / length,
-            y: dy / length,
-            radiusRate: dr / length,
-          };
-        }
-      } else if (u <= this.knots[this.degree]) {
-        // At the start point, use the direction from first to second control point
-        const first = this.controlDisks[0];
-        const second = this.controlDisks[1];
-        const dx = second.center.x - first.center.x;
-        const dy = second.center.y - first.center.y;
-        const dr = second.radius - first.radius;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        if (length > 0.0001) {
-          return {
-            x: dx / length,
-            y: dy / length,
-            radiusRate: dr / length,
-          };
-        }
+    const keys = keyframes.map((keyframe, i) =>
+      keyframe instanceof DiskBSpline
+        ? { spline: keyframe, offset: i / (keyframes.length - 1) }
+        : {
+            spline: keyframe.spline,
+            offset: keyframe.offset ?? i / (keyframes.length - 1),
+          }
+    );
+    for (let i = 1; i < keys.length; i++) {
+      if (!(keys[i].offset > keys[i - 1].offset)) {
+        throw new Error(
+          `Keyframe offsets must increase, but keyframe ${i} has offset ${
+            keys[i].offset
+          } after ${keys[i - 1].offset}`
+        );
       }
-      // Clamp parameter to valid range
-      u = Math.max(this.knots[this.degree], Math.min(u, this.knots[n + 1]));
-    }
-
-    let dx = 0,
-      dy = 0,
-      dr = 0;
-    let totalDerivative = 0;
-
-    // Calculate the derivative using the chain rule
-    for (let i = 0; i <= n; i++) {
-      const derivative = this.basisFunctionDerivative(i, this.degree, u);
-      totalDerivative += derivative;
-      dx += derivative * this.controlDisks[i].center.x;
-      dy += derivative * this.controlDisks[i].center.y;
-      dr += derivative * this.controlDisks[i].radius;
     }
 
-    // Log if derivatives don't sum to 0 (within floating point error)
-    if (Math.abs(totalDerivative) > 0.0001) {
-      this.logMessage(
-        `WARNING: Basis function derivatives sum to ${totalDerivative} at u=${u}, should be 0`
+    // Make each neighbouring pair compatible once, then blend per frame
+    const segments = [];
+    for (let i = 0; i < keys.length - 1; i++) {
+      segments.push(
+        DiskBSpline.makeCompatible(keys[i].spline, keys[i + 1].spline)
       );
     }
 
-    return { x: dx, y: dy, radiusRate: dr };
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+      const time = f / (frameCount - 1);
+      let i = 0;
+      while (i < segments.length - 1 && time > keys[i + 1].offset) i++;
+
+      const from = keys[i].offset;
+      const to = keys[i + 1].offset;
+      const t = Math.max(0, Math.min(1, (time - from) / (to - from)));
+      frames.push(DiskBSpline.blendCompatible(...segments[i], t));
+    }
+    return frames;
   }
 
   /**
-   * Calculate curvature at a point using derivatives
-   * @param {number} u - Parameter value
-   * @returns {number} - Curvature at the point
+   * Render frames to fill paths that all have the same command structure,
+   * as SVG and CSS path interpolation need: a fixed number of samples
+   * evenly spaced by arc length, straight segments and no loop removal
+   * @param {Array} frames - DiskBSpline for each frame
+   * @param {Object} options - toSVGPath options such as caps, boundary and closedFill
+   * @param {number} options.samples - Samples per frame (default: 64)
+   * @returns {Array} - Fill path data for each frame
+   * @throws {Error} - If a frame still gives a different command structure
    */
-  calculateCurvatureAt(u) {
-    const d1 = this.evaluateDerivativeAt(u);
-
-    // Calculate second derivative using finite differences
-    const epsilon = 0.0001;
-    const d2 = this.evaluateDerivativeAt(u + epsilon);
+  static framesToPaths(frames, options = {}) {
+    const paths = frames.map(
+      (frame) =>
+        frame.toSVGPath(options.samples ?? 64, {
+          ...options,
+          sampling: "arcLength",
+          pathType: "polyline",
+          removeLoops: false,
+        }).fillPath
+    );
 
-    const dx = d1.x;
-    const dy = d1.y;
-    const ddx = (d2.x - d1.x) / epsilon;
-    const ddy = (d2.y - d1.y) / epsilon;
+    const commands = (path) => (path.match(/[MLHVCSQTAZ]/gi) ?? []).join("");
+    const expected = commands(paths[0]);
+    paths.forEach((path, i) => {
+      if (commands(path) !== expected) {
+        throw new Error(
+          `Frame ${i} has a different path structure from frame 0, so it cannot be interpolated`
+        );
+      }
+    });
+    return paths;
+  }
 
-    // Curvature formula: |x'y'' - y'x''| / (x'^2 + y'^2)^(3/2)
-    const numerator = Math.abs(dx * ddy - dy * ddx);
-    const denominator = Math.pow(dx * dx + dy * dy, 1.5);
+  /**
+   * Export frames as the values attribute of an SVG <animate> element for
+   * the "d" attribute of a path
+   * @param {Array} frames - DiskBSpline for each frame, e.g. from animate
+   * @param {Object} options - Options for framesToPaths
+   * @returns {string} - Path data for each frame separated by semicolons
+   */
+  static toSMILValues(frames, options = {}) {
+    return DiskBSpline.framesToPaths(frames, options).join(";");
+  }
 
-    return denominator > 0.0001 ? numerator / denominator : 0;
+  /**
+   * Export frames as a CSS @keyframes rule that animates the "d" property
+   * with path() data, with the frames evenly spaced in time
+   * @param {Array} frames - DiskBSpline for each frame, e.g. from animate
+   * @param {string} name - Animation name
+   * @param {Object} options - Options for framesToPaths
+   * @returns {string} - CSS @keyframes rule
+   */
+  static toCSSKeyframes(frames, name, options = {}) {
+    const paths = DiskBSpline.framesToPaths(frames, options);
+    const steps = paths.map((path, i) => {
+      const fraction = paths.length > 1 ? i / (paths.length - 1) : 0;
+      const percent = Math.round(fraction * 10000) / 100;
+      return `  ${percent}% { d: path("${path}"); }`;
+    });
+    return `@keyframes ${name} {\n${steps.join("\n")}\n}`;
   }
 
   /**
-   * Generate a sequence of disks along the B-spline with adaptive sampling
-   * @param {number} baseNumSamples - Base number of sample points
-   * @param {number} maxNumSamples - Maximum number of sample points
-   * @returns {Array} - Array of disks along the curve
+   * Create a DiskBSpline that passes exactly through the centers and radii
+   * of the given disks, by solving for the control disks (global
+   * interpolation, The NURBS Book, section 9.2.1). Closed curves solve the
+   * periodic system, so the result is smooth across the seam.
+   * @param {Array} disks - Disks to interpolate, each with center (x,y) and radius
+   * @param {Object} options - Options object
+   * @param {number} options.degree - Degree of the B-spline (default: 3)
+   * @param {boolean} options.closed - Whether the shape should be closed (default: false)
+   * @param {string} options.parameterization - "uniform", "chordLength" or "centripetal" (default: "chordLength")
+   * @param {boolean} options.allowNegativeRadii - Accept disks with a negative radius (default: false);
+   *   the result always allows them, since solved control disks may have them
+   * @param {boolean} options.debug - Whether to enable debug logging (default: false);
+   *   logger, logElement, onDiagnostic and strict are passed on like debug
+   * @returns {DiskBSpline} - Spline with solved control disks and explicit knots
+   * @throws {Error} - If a disk is invalid, there are too few disks for the degree, or the system is singular
    */
-  sampleCurveAdaptive(baseNumSamples = 50, maxNumSamples = 200) {
-    if (this.controlDisks.length < this.degree + 1) {
-      this.logMessage(
-        `ERROR: Not enough control points for the specified degree. Need at least ${
-          this.degree + 1
-        } points for degree ${this.degree}.`
+  static interpolate(disks, options = {}) {
+    const degree = options.degree ?? 3;
+    const closed = options.closed ?? false;
+    const parameterization = options.parameterization ?? "chordLength";
+    const exponent = { uniform: 0, chordLength: 1, centripetal: 0.5 }[
+      parameterization
+    ];
+    const count = disks.length;
+
+    if (exponent === undefined) {
+      throw new Error(`Unknown parameterization "${parameterization}"`);
+    }
+    disks.forEach((disk, index) =>
+      DiskBSpline.validateDisk(disk, index, options.allowNegativeRadii)
+    );
+    if (count < degree + 1) {
+      throw new Error(
+        `Need at least ${
+          degree + 1
+        } disks to interpolate with degree ${degree}, got ${count}`
       );
-      return [];
     }
 
-    const result = [];
-    const n = this.controlDisks.length - 1;
-    const startU = this.knots[this.degree];
-    const endU = this.closed ? this.knots[n + 1] : this.knots[n + 1];
+    let knots;
+    let params;
 
-    // First pass: sample uniformly and calculate curvatures
-    const uniformSamples = [];
-    const curvatures = [];
-    let maxCurvature = 0;
+    if (closed) {
+      // Periodic knots spaced like the data, one span per disk
+      const gaps = [];
+      for (let i = 0; i < count; i++) {
+        const a = disks[i].center;
+        const b = disks[(i + 1) % count].center;
+        gaps.push(Math.pow(Math.hypot(b.x - a.x, b.y - a.y), exponent));
+      }
+      const total = gaps.reduce((sum, gap) => sum + gap, 0);
+      const gapAt = (i) => {
+        const gap = gaps[((i % count) + count) % count];
+        return total > 0 ? (gap * count) / total : 1;
+      };
 
-    // Increase base sampling for complex curves
-    const effectiveBaseSamples = Math.max(
-      baseNumSamples,
-      Math.min(200, Math.round(this.controlDisks.length * 20))
+      knots = [];
+      knots[degree] = 0;
+      for (let i = degree + 1; i <= count + 2 * degree; i++) {
+        knots[i] = knots[i - 1] + gapAt(i - 1 - degree);
+      }
+      for (let i = degree - 1; i >= 0; i--) {
+        knots[i] = knots[i + 1] - gapAt(i - degree);
+      }
+
+      // Odd degrees interpolate at the knots, even degrees at span midpoints
+      params = [];
+      for (let i = 0; i < count; i++) {
+        const a = knots[degree + i];
+        params.push(degree % 2 === 1 ? a : (a + knots[degree + i + 1]) / 2);
+      }
+    } else {
+      params = DiskBSpline.parameterValues(disks, exponent, count - degree);
+      knots = DiskBSpline.averagedKnots(params, degree);
+    }
+
+    // Build the collocation matrix from a spline with the final knots
+    const layout = new DiskBSpline(disks, {
+      degree,
+      closed,
+      knots,
+      allowNegativeRadii: true,
+    });
+    const matrix = [];
+    for (let i = 0; i < count; i++) {
+      const row = new Array(count).fill(0);
+      const span = layout.findSpan(params[i]);
+      const basisValues = layout.basisFunctionsAt(span, params[i]);
+      for (let j = 0; j <= degree; j++) {
+        row[(span - degree + j) % count] += basisValues[j];
+      }
+      matrix.push(row);
+    }
+
+    const [xs, ys, radii] = DiskBSpline.solveLinearSystem(matrix, [
+      disks.map((disk) => disk.center.x),
+      disks.map((disk) => disk.center.y),
+      disks.map((disk) => disk.radius),
+    ]);
+
+    const controlDisks = xs.map((x, i) => ({
+      center: { x, y: ys[i] },
+      radius: radii[i],
+    }));
+
+    // Solved control disks may have negative radii even though every
+    // interpolated radius is non-negative
+    return new DiskBSpline(controlDisks, {
+      ...options,
+      allowNegativeRadii: true,
+      degree,
+      closed,
+      knots,
+    });
+  }
+
+  /**
+   * Fit a DiskBSpline to pointer samples, such as a pressure-sensitive pen
+   * stroke. Starting from a single span, the control disks are found by a
+   * least-squares fit with the end disks pinned to the first and last
+   * samples. Sample parameters are then refined by projecting each sample
+   * onto the curve, and knots are inserted in the worst-fitting span until
+   * both the centerline and the radius stay within tolerance or maxDisks
+   * is reached.
+   * @param {Array} samples - Samples {x, y, pressure, t}; t is not used for the fit
+   * @param {Object} options - Fitting options
+   * @param {number} options.tolerance - Maximum centerline distance and radius difference (default: 1)
+   * @param {number} options.maxDisks - Maximum number of control disks (default: 50)
+   * @param {Function} options.radiusFromPressure - Maps a sample's pressure to a radius
+   *   (default: pressure * 10, with a missing pressure treated as 0.5)
+   * @param {number} options.degree - Degree of the B-spline, lowered if there are too few samples (default: 3)
+   * @param {boolean} options.debug - Whether to enable debug logging (default: false);
+   *   logger, logElement, onDiagnostic and strict are passed on like debug
+   * @returns {DiskBSpline} - Fitted spline with explicit knots over [0, 1]
+   * @throws {Error} - If fewer than two distinct samples are given, or no fit can be solved
+   */
+  static fromSamples(samples, options = {}) {
+    const tolerance = options.tolerance ?? 1;
+    const radiusFromPressure =
+      options.radiusFromPressure ?? ((pressure) => (pressure ?? 0.5) * 10);
+
+    // Convert to disks, dropping samples that repeat the previous position
+    const disks = [];
+    for (const sample of samples) {
+      const last = disks[disks.length - 1];
+      if (last && last.center.x === sample.x && last.center.y === sample.y) {
+        continue;
+      }
+      disks.push({
+        center: { x: sample.x, y: sample.y },
+        radius: radiusFromPressure(sample.pressure),
+      });
+    }
+
+    if (disks.length < 2) {
+      throw new Error(
+        `Need at least 2 distinct samples to fit a stroke, got ${disks.length}`
+      );
+    }
+
+    const degree = Math.min(options.degree ?? 3, disks.length - 1);
+    const maxDisks = Math.max(
+      degree + 1,
+      Math.min(options.maxDisks ?? 50, disks.length)
     );
+    let params = DiskBSpline.parameterValues(disks, 1, 1);
+    const interiorKnots = [];
+    let best = null;
 
-    for (let i = 0; i < effectiveBaseSamples; i++) {
-      const u = startU + (i / (effectiveBaseSamples - 1)) * (endU - startU);
-      const disk = this.evaluateAt(u);
-      const curvature = this.calculateCurvatureAt(u);
+    for (;;) {
+      const knots = [
+        ...new Array(degree + 1).fill(0),
+        ...interiorKnots,
+        ...new Array(degree + 1).fill(1),
+      ];
 
-      uniformSamples.push({ u, disk });
-      curvatures.push(curvature);
-      maxCurvature = Math.max(maxCurvature, curvature);
+      let fit;
+      try {
+        fit = DiskBSpline.leastSquaresFit(disks, params, knots, degree);
+      } catch (error) {
+        // Not enough samples to pin down the new span, so keep the last fit
+        if (error.code !== "SINGULAR_SYSTEM") throw error;
+        break;
+      }
+
+      // Refine the sample parameters by projecting onto the fitted centerline.
+      // They are only kept with a successful fit, so params always match fit.
+      for (let pass = 0; pass < 2; pass++) {
+        const projected = params.map((t, i) =>
+          i === 0 || i === params.length - 1
+            ? t
+            : fit.projectParameter(disks[i].center, t)
+        );
+        try {
+          fit = DiskBSpline.leastSquaresFit(disks, projected, knots, degree);
+        } catch (error) {
+          if (error.code !== "SINGULAR_SYSTEM") throw error;
+          break;
+        }
+        params = projected;
+      }
+
+      // Measure the worst centerline and radius error
+      let maxError = 0;
+      let worst = 0;
+      params.forEach((t, i) => {
+        const disk = fit.evaluateAt(t);
+        const error = Math.max(
+          Math.hypot(
+            disk.center.x - disks[i].center.x,
+            disk.center.y - disks[i].center.y
+          ),
+          Math.abs(disk.radius - disks[i].radius)
+        );
+        if (error > maxError) {
+          maxError = error;
+          worst = i;
+        }
+      });
+
+      best = fit;
+      if (maxError <= tolerance || fit.controlDisks.length >= maxDisks) {
+        break;
+      }
+
+      // Split the span holding the worst sample
+      const span = fit.findSpan(params[worst]);
+      interiorKnots.push((fit.knots[span] + fit.knots[span + 1]) / 2);
+      interiorKnots.sort((a, b) => a - b);
     }
 
-    // Second pass: add additional samples based on curvature
-    const adaptiveSamples = [];
-    const curvatureThreshold = 0.15; // Lower threshold to catch more turns
-    const maxExtraSamples = 4; // Allow more samples between points
-    const minSegmentLength = 0.5; // Minimum length between samples to prevent over-sampling
+    if (best === null) {
+      throw new Error(
+        `Could not fit ${disks.length} samples: the first fit is already singular`
+      );
+    }
 
-    for (let i = 0; i < uniformSamples.length - 1; i++) {
-      adaptiveSamples.push(uniformSamples[i]);
+    best.configureLogging(options);
+    if (options.debug) {
+      best.logMessage(
+        `Fitted ${best.controlDisks.length} control disks to ${disks.length} samples`
+      );
+    }
 
-      const normalizedCurvature =
-        maxCurvature > 0 ? curvatures[i] / maxCurvature : 0;
+    return best;
+  }
 
-      // Calculate segment length
-      const dx =
-        uniformSamples[i + 1].disk.center.x - uniformSamples[i].disk.center.x;
-      const dy =
-        uniformSamples[i + 1].disk.center.y - uniformSamples[i].disk.center.y;
-      const segmentLength = Math.sqrt(dx * dx + dy * dy);
+  /**
+   * Least-squares fit of control disks to data disks at given parameters,
+   * with the first and last control disks pinned to the first and last data
+   * disks (The NURBS Book, section 9.4.1)
+   * @param {Array} disks - Data disks
+   * @param {Array} params - Parameter value of each data disk
+   * @param {Array} knots - Clamped knot vector
+   * @param {number} degree - Degree of the B-spline
+   * @returns {DiskBSpline} - Fitted spline
+   * @throws {Error} - If the normal equations are singular
+   */
+  static leastSquaresFit(disks, params, knots, degree) {
+    const count = knots.length - degree - 1;
+    const first = disks[0];
+    const last = disks[disks.length - 1];
 
-      if (
-        normalizedCurvature > curvatureThreshold &&
-        adaptiveSamples.length < maxNumSamples &&
-        segmentLength > minSegmentLength
-      ) {
-        // Calculate number of extra samples based on both curvature and segment length
-        const numExtraSamples = Math.min(
-          maxExtraSamples,
-          Math.floor(
-            normalizedCurvature * maxExtraSamples * (segmentLength / 10)
-          )
+    // Evaluate the basis functions with a placeholder spline on the same knots
+    const layout = new DiskBSpline(new Array(count).fill(first), {
+      degree,
+      knots,
+    });
+    const rows = params.map((t) => {
+      const row = new Array(count).fill(0);
+      const span = layout.findSpan(t);
+      const basisValues = layout.basisFunctionsAt(span, t);
+      for (let j = 0; j <= degree; j++) {
+        row[span - degree + j] = basisValues[j];
+      }
+      return row;
+    });
+
+    let controls = [first, last];
+    if (count > 2) {
+      // Normal equations for the interior control disks
+      const size = count - 2;
+      const matrix = Array.from({ length: size }, () =>
+        new Array(size).fill(0)
+      );
+      const rhs = [
+        new Array(size).fill(0),
+        new Array(size).fill(0),
+        new Array(size).fill(0),
+      ];
+
+      for (let i = 1; i < disks.length - 1; i++) {
+        const row = rows[i];
+        const residual = [
+          disks[i].center.x - row[0] * first.center.x - row[count - 1] * last.center.x,
+          disks[i].center.y - row[0] * first.center.y - row[count - 1] * last.center.y,
+          disks[i].radius - row[0] * first.radius - row[count - 1] * last.radius,
+        ];
+        for (let a = 0; a < size; a++) {
+          if (row[a + 1] === 0) continue;
+          for (let b = 0; b < size; b++) {
+            matrix[a][b] += row[a + 1] * row[b + 1];
+          }
+          for (let c = 0; c < 3; c++) {
+            rhs[c][a] += row[a + 1] * residual[c];
+          }
+        }
+      }
+
+      const [xs, ys, radii] = DiskBSpline.solveLinearSystem(matrix, rhs);
+      controls = [
+        first,
+        ...xs.map((x, i) => ({ center: { x, y: ys[i] }, radius: radii[i] })),
+        last,
+      ];
+    }
+
+    return new DiskBSpline(
+      controls.map((disk) => ({
+        center: { x: disk.center.x, y: disk.center.y },
+        radius: disk.radius,
+      })),
+      { degree, knots, allowNegativeRadii: true }
+    );
+  }
+
+  /**
+   * Compute a parameter value for each disk from the distances between
+   * consecutive centers raised to a power, scaled to [0, end]
+   * @param {Array} disks - Disks with center (x,y)
+   * @param {number} exponent - 0 for uniform, 1 for chord-length, 0.5 for centripetal
+   * @param {number} end - Parameter value of the last disk
+   * @returns {Array} - Increasing parameter values
+   */
+  static parameterValues(disks, exponent, end) {
+    const n = disks.length - 1;
+    const params = [0];
+    for (let i = 1; i <= n; i++) {
+      const a = disks[i - 1].center;
+      const b = disks[i].center;
+      params.push(
+        params[i - 1] + Math.pow(Math.hypot(b.x - a.x, b.y - a.y), exponent)
+      );
+    }
+    const total = params[n];
+    return params.map((t, i) => (total > 0 ? (t / total) * end : (i / n) * end));
+  }
+
+  /**
+   * Build a clamped knot vector by averaging parameter values
+   * (The NURBS Book, eq. 9.8)
+   * @param {Array} params - Parameter value of each control disk
+   * @param {number} degree - Degree of the B-spline
+   * @returns {Array} - Knot vector with params.length + degree + 1 entries
+   */
+  static averagedKnots(params, degree) {
+    const n = params.length - 1;
+    const knots = [];
+    for (let i = 0; i <= degree; i++) {
+      knots.push(params[0]);
+    }
+    for (let j = 1; j <= n - degree; j++) {
+      let sum = 0;
+      for (let i = j; i < j + degree; i++) {
+        sum += params[i];
+      }
+      knots.push(sum / degree);
+    }
+    for (let i = 0; i <= degree; i++) {
+      knots.push(params[n]);
+    }
+    return knots;
+  }
+
+  /**
+   * Solve a square linear system for several right-hand sides by Gaussian
+   * elimination with partial pivoting
+   * @param {Array} matrix - Square matrix as an array of rows
+   * @param {Array} columns - Right-hand side vectors
+   * @returns {Array} - Solution vector for each right-hand side
+   * @throws {Error} - If the matrix is singular, with code "SINGULAR_SYSTEM"
+   */
+  static solveLinearSystem(matrix, columns) {
+    const size = matrix.length;
+    const a = matrix.map((row) => [...row]);
+    const b = columns.map((column) => [...column]);
+
+    for (let col = 0; col < size; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < size; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12) {
+        const error = new Error(
+          `Singular system: disks may coincide or be too few for the degree`
         );
+        error.code = "SINGULAR_SYSTEM";
+        throw error;
+      }
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      for (const rhs of b) {
+        [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+      }
+
+      for (let row = col + 1; row < size; row++) {
+        const factor = a[row][col] / a[col][col];
+        if (factor === 0) continue;
+        for (let k = col; k < size; k++) {
+          a[row][k] -= factor * a[col][k];
+        }
+        for (const rhs of b) {
+          rhs[row] -= factor * rhs[col];
+        }
+      }
+    }
+
+    return b.map((rhs) => {
+      const x = new Array(size).fill(0);
+      for (let row = size - 1; row >= 0; row--) {
+        let sum = rhs[row];
+        for (let k = row + 1; k < size; k++) {
+          sum -= a[row][k] * x[k];
+        }
+        x[row] = sum / a[row][row];
+      }
+      return x;
+    });
+  }
+
+  /**
+   * Set up debug logging and diagnostics from constructor-style options
+   * @param {Object} options - Options object, see the constructor
+   */
+  configureLogging(options) {
+    this.debug = options.debug ?? false;
+    this.logger = options.logger ?? console;
+    this.logElement = options.logElement ?? null;
+    this.onDiagnostic = options.onDiagnostic ?? null;
+    this.strict = options.strict ?? false;
+  }
+
+  /**
+   * Get the logging options of this spline, for passing on to derived splines
+   * @returns {Object} - {debug, logger, logElement, onDiagnostic, strict}
+   */
+  getLoggingOptions() {
+    return {
+      debug: this.debug,
+      logger: this.logger,
+      logElement: this.logElement,
+      onDiagnostic: this.onDiagnostic,
+      strict: this.strict,
+    };
+  }
+
+  /**
+   * Log messages to the logger, and to the log element if one was given
+   * @param {string} message - Message to log
+   * @param {string} severity - "info", "warning" or "error" (default: "info")
+   */
+  logMessage(message, severity = "info") {
+    if (!this.debug) return;
+
+    const logElement =
+      typeof this.logElement === "string"
+        ? document.getElementById(this.logElement)
+        : this.logElement;
+    if (logElement) {
+      const logEntry = document.createElement("div");
+      logEntry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+      logElement.appendChild(logEntry);
+      logElement.scrollTop = logElement.scrollHeight;
+    }
+
+    if (severity === "error") {
+      this.logger.error(message);
+    } else if (severity === "warning") {
+      this.logger.warn(message);
+    } else {
+      this.logger.log(message);
+    }
+  }
+
+  /**
+   * Report a diagnostic to the onDiagnostic hook and the debug log. In strict
+   * mode, warnings and errors are thrown instead of recovered from.
+   * @param {string} code - Stable identifier such as "PARAMETER_CLAMPED"
+   * @param {string} severity - "info", "warning" or "error"
+   * @param {string} message - Human-readable description
+   * @param {number} u - Parameter value the diagnostic refers to (default: null)
+   * @throws {Error} - In strict mode, for warnings and errors, with the event as error.diagnostic
+   */
+  reportDiagnostic(code, severity, message, u = null) {
+    const event = { code, severity, u, message };
+    if (this.onDiagnostic) {
+      this.onDiagnostic(event);
+    }
+    this.logMessage(
+      severity === "info" ? message : `${severity.toUpperCase()}: ${message}`,
+      severity
+    );
+
+    if (this.strict && severity !== "info") {
+      const error = new Error(`${code}: ${message}`);
+      error.diagnostic = event;
+      throw error;
+    }
+  }
+
+  /**
+   * Build controlDisks from the user-facing disks. For closed shapes, the
+   * first degree disks are wrapped around to the end. Also collects the
+   * attribute names used by the disks.
+   */
+  wrapControlDisks() {
+    this.controlDisks = [...this.sourceDisks];
+    if (this.closed && this.sourceDisks.length > this.degree) {
+      for (let i = 0; i < this.degree; i++) {
+        this.controlDisks.push(this.sourceDisks[i]);
+      }
+    }
+
+    // Names of the numeric attributes carried by any disk
+    const names = new Set();
+    for (const disk of this.sourceDisks) {
+      for (const name of Object.keys(disk.attributes ?? {})) {
+        names.add(name);
+      }
+    }
+    this.attributeNames = [...names];
+  }
+
+  /**
+   * Get the control disks as given by the user, without the wrapped copies
+   * that closed shapes add at the end
+   * @returns {Array} - Array of control disks
+   */
+  getControlDisks() {
+    return [...this.sourceDisks];
+  }
+
+  /**
+   * Subscribe to changes made through the editing methods
+   * @param {Function} listener - Called after each change with {type, spline} plus
+   *   {index, disk} for "insert", "remove" and "update", {closed} for "closed", {degree} for "degree" and {u, times} for "knot"
+   * @returns {Function} - Call to unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((other) => other !== listener);
+    };
+  }
+
+  /**
+   * Rebuild the wrapped control disks and knots, then notify listeners
+   * @param {Object} event - Change event passed to the listeners
+   */
+  applyChange(event) {
+    if (this.autoDegree) {
+      this.degree = DiskBSpline.autoDegreeFor(this.sourceDisks.length);
+    }
+    this.wrapControlDisks();
+    this.generateKnots();
+    this.logMessage(`New knot vector: [${this.knots.join(", ")}]`);
+    for (const listener of this.listeners) {
+      listener({ ...event, spline: this });
+    }
+  }
+
+  /**
+   * Check that an index refers to an existing user-facing disk
+   * @param {number} index - Disk index
+   * @param {number} limit - Largest allowed index (default: last disk)
+   * @throws {RangeError} - If the index is out of range
+   */
+  checkDiskIndex(index, limit = this.sourceDisks.length - 1) {
+    if (!Number.isInteger(index) || index < 0 || index > limit) {
+      throw new RangeError(
+        `Disk index ${index} is out of range [0, ${limit}]`
+      );
+    }
+  }
+
+  /**
+   * Add a control disk to the B-spline
+   * @param {Object} disk - Control disk with center (x,y) and radius
+   */
+  addDisk(disk) {
+    this.insertDisk(this.sourceDisks.length, disk);
+  }
+
+  /**
+   * Insert a control disk before the given index
+   * @param {number} index - Position of the new disk, from 0 to the number of disks
+   * @param {Object} disk - Control disk with center (x,y) and radius
+   * @throws {RangeError} - If the index is out of range
+   */
+  insertDisk(index, disk) {
+    this.checkDiskIndex(index, this.sourceDisks.length);
+    DiskBSpline.validateDisk(disk, index);
+    this.sourceDisks.splice(index, 0, disk);
+    this.logMessage(
+      `Added disk at (${disk.center.x}, ${disk.center.y}) with radius ${disk.radius}`
+    );
+    this.applyChange({ type: "insert", index, disk });
+  }
+
+  /**
+   * Remove the control disk at the given index
+   * @param {number} index - Index of the disk to remove
+   * @returns {Object} - The removed disk
+   * @throws {RangeError} - If the index is out of range
+   */
+  removeDisk(index) {
+    this.checkDiskIndex(index);
+    const [disk] = this.sourceDisks.splice(index, 1);
+    this.logMessage(`Removed disk ${index}`);
+    this.applyChange({ type: "remove", index, disk });
+    return disk;
+  }
+
+  /**
+   * Update the control disk at the given index
+   * @param {number} index - Index of the disk to update
+   * @param {Object} patch - Properties to change, e.g. {center: {x}}, {radius} or {weight}
+   * @returns {Object} - The updated disk
+   * @throws {RangeError} - If the index is out of range
+   */
+  updateDisk(index, patch) {
+    this.checkDiskIndex(index);
+    const previous = this.sourceDisks[index];
+    const disk = {
+      ...previous,
+      ...patch,
+      center: { ...previous.center, ...patch.center },
+    };
+    // A solved radius that the patch keeps is accepted
+    DiskBSpline.validateDisk(
+      disk,
+      index,
+      this.allowNegativeRadii && patch.radius === undefined
+    );
+    this.sourceDisks[index] = disk;
+    this.applyChange({ type: "update", index, disk });
+    return disk;
+  }
+
+  /**
+   * Open or close the shape
+   * @param {boolean} closed - Whether the shape should be closed
+   */
+  setClosed(closed) {
+    if (this.closed === closed) return;
+    this.closed = closed;
+    this.logMessage(`Shape is ${this.closed ? "closed" : "open"}`);
+    this.applyChange({ type: "closed", closed });
+  }
+
+  /**
+   * Change the degree of the B-spline, keeping the control disks
+   * @param {number|string} degree - New degree, at least 1, or "auto" to follow the number of disks
+   * @throws {RangeError} - If the degree is not a positive integer or "auto"
+   */
+  setDegree(degree) {
+    const autoDegree = degree === "auto";
+    if (autoDegree) {
+      degree = DiskBSpline.autoDegreeFor(this.sourceDisks.length);
+    } else {
+      DiskBSpline.checkDegree(degree);
+    }
+    if (this.degree === degree && this.autoDegree === autoDegree) return;
+    this.autoDegree = autoDegree;
+    this.degree = degree;
+    this.applyChange({ type: "degree", degree });
+  }
+
+  /**
+   * Insert a knot without changing the shape of the curve (Boehm's
+   * algorithm), which adds one control disk per insertion. The result keeps
+   * an explicit knot vector.
+   * @param {number} u - Parameter value strictly inside the parameter range
+   * @param {number} times - Number of times to insert the knot (default: 1)
+   * @throws {RangeError} - If u is outside the parameter range
+   * @throws {Error} - If the shape is closed, or the knot would be repeated more than degree times
+   */
+  insertKnot(u, times = 1) {
+    if (this.closed) {
+      throw new Error(
+        `insertKnot needs an open shape; use subcurve to cut a closed shape open`
+      );
+    }
+    const { start, end } = this.getParameterRange();
+    if (!(u > start && u < end)) {
+      throw new RangeError(
+        `Knot ${u} is outside the parameter range (${start}, ${end})`
+      );
+    }
+    const multiplicity = this.knots.filter((knot) => knot === u).length;
+    if (multiplicity + times > this.degree) {
+      throw new Error(
+        `Knot ${u} would be repeated ${
+          multiplicity + times
+        } times, at most ${this.degree} allowed`
+      );
+    }
+
+    let representation = this.getOpenRepresentation();
+    for (let i = 0; i < times; i++) {
+      representation = this.insertKnotInto(representation, u);
+    }
+    this.adoptRepresentation(representation);
+    this.logMessage(`Inserted knot ${u} ${times} time(s)`);
+    this.applyChange({ type: "knot", u, times });
+  }
+
+  /**
+   * Raise the degree of the curve by one or more without changing its shape.
+   * Each elevation repeats every distinct knot once more, so the result has
+   * more control disks and an explicit, clamped knot vector.
+   * @param {number} times - Number of degrees to add (default: 1)
+   * @throws {Error} - If the shape is closed
+   */
+  elevateDegree(times = 1) {
+    if (this.closed) {
+      throw new Error(
+        `elevateDegree needs an open shape; use subcurve to cut a closed shape open`
+      );
+    }
+
+    for (let step = 0; step < times; step++) {
+      const { start, end } = this.getParameterRange();
+      const { knots } = this.extractRepresentation(
+        this.getOpenRepresentation(),
+        start,
+        end
+      );
+      const degree = this.degree + 1;
+
+      const elevated = [];
+      for (let i = 0; i < knots.length; i++) {
+        elevated.push(knots[i]);
+        if (knots[i] !== knots[i + 1]) elevated.push(knots[i]);
+      }
+      const count = elevated.length - degree - 1;
+
+      // The elevated spline space contains the curve, so collocating at the
+      // Greville abscissae recovers its control disks exactly
+      const layout = new DiskBSpline(
+        new Array(count).fill({ center: { x: 0, y: 0 }, radius: 0 }),
+        { degree, knots: elevated }
+      );
+      const matrix = [];
+      const columns = this.homogeneousDisk(this.controlDisks[0]).map(() => []);
+      for (let i = 0; i < count; i++) {
+        let g = 0;
+        for (let j = 1; j <= degree; j++) {
+          g += elevated[i + j];
+        }
+        g /= degree;
+
+        const row = new Array(count).fill(0);
+        const span = layout.findSpan(g);
+        const basisValues = layout.basisFunctionsAt(span, g);
+        for (let j = 0; j <= degree; j++) {
+          row[span - degree + j] = basisValues[j];
+        }
+        matrix.push(row);
+
+        this.homogeneousAt(g).forEach((value, c) => columns[c].push(value));
+      }
+
+      const solutions = DiskBSpline.solveLinearSystem(matrix, columns);
+      this.degree = degree;
+      this.autoDegree = false;
+      this.adoptRepresentation({
+        knots: elevated,
+        points: solutions[0].map((_, i) =>
+          solutions.map((solution) => solution[i])
+        ),
+      });
+    }
+
+    this.logMessage(`Elevated degree to ${this.degree}`);
+    this.applyChange({ type: "degree", degree: this.degree });
+  }
+
+  /**
+   * Split the curve in two at parameter u. Each half reproduces its part of
+   * the curve exactly.
+   * @param {number} u - Parameter value strictly inside the parameter range
+   * @returns {Array} - Two DiskBSpline instances covering [start, u] and [u, end]
+   * @throws {RangeError} - If u is outside the parameter range
+   * @throws {Error} - If the shape is closed
+   */
+  split(u) {
+    if (this.closed) {
+      throw new Error(
+        `split needs an open shape; use subcurve to cut a closed shape open`
+      );
+    }
+    const { start, end } = this.getParameterRange();
+    if (!(u > start && u < end)) {
+      throw new RangeError(
+        `Split parameter ${u} is outside the parameter range (${start}, ${end})`
+      );
+    }
+    return [this.subcurve(start, u), this.subcurve(u, end)];
+  }
+
+  /**
+   * Extract the part of the curve between two parameter values as a new
+   * open DiskBSpline with a clamped knot vector. On closed shapes the part
+   * may run across the seam: u1 is taken one period later when it is not
+   * greater than u0.
+   * @param {number} u0 - Start parameter
+   * @param {number} u1 - End parameter
+   * @returns {DiskBSpline} - Curve that reproduces [u0, u1] exactly
+   * @throws {RangeError} - If the parameters do not give a non-empty part of the curve
+   */
+  subcurve(u0, u1) {
+    const { start, end } = this.getParameterRange();
+    let representation = this.getOpenRepresentation();
+
+    if (this.closed) {
+      const period = end - start;
+      u0 = start + ((((u0 - start) % period) + period) % period);
+      u1 = start + ((((u1 - start) % period) + period) % period);
+      if (u1 <= u0) u1 += period;
+
+      // Continue the control disks and knots for one more period, so the
+      // part can cross the seam
+      const m = this.sourceDisks.length;
+      const points = [...representation.points];
+      const knots = [...representation.knots];
+      for (let i = 0; i < m; i++) {
+        points.push(points[points.length - m]);
+        knots.push(knots[knots.length - m] + period);
+      }
+      representation = { knots, points };
+    } else if (!(u0 >= start && u1 <= end && u0 < u1)) {
+      throw new RangeError(
+        `Subcurve [${u0}, ${u1}] is not inside the parameter range [${start}, ${end}]`
+      );
+    }
+
+    const { knots, points } = this.extractRepresentation(
+      representation,
+      u0,
+      u1
+    );
+    const rational = this.isRational();
+    return new DiskBSpline(
+      points.map((point) => this.diskFromHomogeneous(point, rational)),
+      {
+        ...this.getLoggingOptions(),
+        allowNegativeRadii: this.allowNegativeRadii,
+        degree: this.degree,
+        parameterization: this.parameterization,
+        knots,
+      }
+    );
+  }
+
+  /**
+   * Get the knot vector and homogeneous control points of the curve, with
+   * the wrapped disks of a closed shape as ordinary control points
+   * @returns {Object} - Representation {knots, points}, see homogeneousDisk
+   */
+  getOpenRepresentation() {
+    return {
+      knots: [...this.knots],
+      points: this.controlDisks.map((disk) => this.homogeneousDisk(disk)),
+    };
+  }
+
+  /**
+   * Convert a control disk to a homogeneous point [w*x, w*y, w*radius, w],
+   * followed by two entries per attribute: w*value and w, or 0 and 0 if the
+   * disk does not have the attribute
+   * @param {Object} disk - Control disk
+   * @returns {Array} - Homogeneous point
+   */
+  homogeneousDisk(disk) {
+    const weight = disk.weight ?? 1;
+    const point = [
+      weight * disk.center.x,
+      weight * disk.center.y,
+      weight * disk.radius,
+      weight,
+    ];
+    for (const name of this.attributeNames) {
+      const value = disk.attributes?.[name];
+      point.push(value === undefined ? 0 : weight * value);
+      point.push(value === undefined ? 0 : weight);
+    }
+    return point;
+  }
+
+  /**
+   * Convert a homogeneous point back to a control disk
+   * @param {Array} point - Homogeneous point, see homogeneousDisk
+   * @param {boolean} rational - Whether to keep the weight on the disk
+   * @returns {Object} - Control disk with center (x,y), radius and, if rational, weight
+   */
+  diskFromHomogeneous(point, rational) {
+    const [x, y, radius, weight] = point;
+    const disk = {
+      center: { x: x / weight, y: y / weight },
+      radius: radius / weight,
+    };
+    if (rational) disk.weight = weight;
+
+    if (this.attributeNames.length > 0) {
+      disk.attributes = {};
+      this.attributeNames.forEach((name, a) => {
+        const total = point[5 + 2 * a];
+        if (total > 1e-12) {
+          disk.attributes[name] = point[4 + 2 * a] / total;
+        }
+      });
+    }
+    return disk;
+  }
+
+  /**
+   * Replace the control disks and knots of an open curve with an equivalent
+   * representation. Callers notify listeners through applyChange.
+   * @param {Object} representation - Knots and homogeneous points {knots, points}
+   */
+  adoptRepresentation({ knots, points }) {
+    const rational = this.isRational();
+    this.sourceDisks = points.map((point) =>
+      this.diskFromHomogeneous(point, rational)
+    );
+    this.explicitKnots = [...knots];
+    this.wrapControlDisks();
+    this.generateKnots();
+  }
+
+  /**
+   * Evaluate the homogeneous sum of the control disks at u without clamping
+   * or projecting by the total weight
+   * @param {number} u - Parameter value
+   * @returns {Array} - Homogeneous point, see homogeneousDisk
+   */
+  homogeneousAt(u) {
+    const span = this.findSpan(u);
+    const basisValues = this.basisFunctionsAt(span, u);
+    let point = null;
+    for (let j = 0; j <= this.degree; j++) {
+      const disk = this.homogeneousDisk(
+        this.controlDisks[span - this.degree + j]
+      );
+      point = point ?? disk.map(() => 0);
+      disk.forEach((value, c) => (point[c] += basisValues[j] * value));
+    }
+    return point;
+  }
+
+  /**
+   * Insert one knot into a representation (Boehm's algorithm, The NURBS
+   * Book, algorithm A5.1 for a single insertion)
+   * @param {Object} representation - Knots and homogeneous points {knots, points}
+   * @param {number} u - Knot to insert
+   * @returns {Object} - New representation with one more knot and point
+   */
+  insertKnotInto({ knots, points }, u) {
+    const k = this.degree;
+    const n = points.length - 1;
+
+    // Last span starting at or before u, within the control points
+    let span = k;
+    while (span < n && knots[span + 1] <= u) span++;
+
+    const inserted = [];
+    for (let i = 0; i <= n + 1; i++) {
+      if (i <= span - k) {
+        inserted.push(points[i]);
+      } else if (i > span) {
+        inserted.push(points[i - 1]);
+      } else {
+        const alpha = (u - knots[i]) / (knots[i + k] - knots[i]);
+        inserted.push(
+          points[i].map(
+            (value, c) => alpha * value + (1 - alpha) * points[i - 1][c]
+          )
+        );
+      }
+    }
+
+    return {
+      knots: [...knots.slice(0, span + 1), u, ...knots.slice(span + 1)],
+      points: inserted,
+    };
+  }
+
+  /**
+   * Cut [u0, u1] out of a representation by inserting both ends until they
+   * are repeated degree times, which makes the curve pass through a control
+   * point there
+   * @param {Object} representation - Knots and homogeneous points {knots, points}
+   * @param {number} u0 - Start parameter
+   * @param {number} u1 - End parameter
+   * @returns {Object} - Representation {knots, points} with a clamped knot vector over [u0, u1]
+   */
+  extractRepresentation(representation, u0, u1) {
+    const k = this.degree;
+    const count = (knots, u) => knots.filter((knot) => knot === u).length;
+
+    for (const u of [u0, u1]) {
+      while (count(representation.knots, u) < k) {
+        representation = this.insertKnotInto(representation, u);
+      }
+    }
+
+    const { knots, points } = representation;
+    const lastStart = knots.lastIndexOf(u0);
+    const firstEnd = knots.indexOf(u1);
+    return {
+      knots: [
+        ...new Array(k + 1).fill(u0),
+        ...knots.slice(lastStart + 1, firstEnd),
+        ...new Array(k + 1).fill(u1),
+      ],
+      points: points.slice(lastStart - k, firstEnd),
+    };
+  }
+
+  /**
+   * Generate the knot vector from the constructor options: the explicit
+   * knot vector if one was given, otherwise uniform, chord-length or
+   * centripetal spacing
+   */
+  generateKnots() {
+    this.arcLengthTable = null;
+
+    // Under degree "auto", no disks is a stroke that has not started yet
+    if (this.autoDegree && this.controlDisks.length === 0) {
+      this.knots = [];
+      return;
+    }
+
+    if (this.explicitKnots) {
+      if (
+        this.explicitKnots.length ===
+        this.controlDisks.length + this.degree + 1
+      ) {
+        this.knots = [...this.explicitKnots];
+        return;
+      }
+      this.reportDiagnostic(
+        "KNOTS_REPLACED",
+        "info",
+        `Explicit knot vector no longer matches ${this.controlDisks.length} control disks, using ${this.parameterization} knots`
+      );
+      this.explicitKnots = null;
+    }
+
+    if (this.parameterization === "uniform") {
+      this.generateUniformKnots();
+    } else {
+      this.generateSpacedKnots(
+        this.parameterization === "centripetal" ? 0.5 : 1
+      );
+    }
+  }
+
+  /**
+   * Generate a knot vector spaced by the distances between control disk
+   * centers raised to a power: 1 for chord-length and 0.5 for centripetal
+   * spacing. The knots span the same parameter range as the uniform vector.
+   * @param {number} exponent - Power applied to each center distance
+   */
+  generateSpacedKnots(exponent) {
+    const n = this.controlDisks.length - 1;
+    const k = this.degree;
+
+    if (n < k) {
+      this.reportDiagnostic(
+        "TOO_FEW_DISKS",
+        "warning",
+        `Not enough control points (${n + 1}) for the specified degree (${k})`
+      );
+      return;
+    }
+
+    const distance = (a, b) =>
+      Math.pow(
+        Math.hypot(b.center.x - a.center.x, b.center.y - a.center.y),
+        exponent
+      );
+
+    this.knots = [];
+
+    if (this.closed) {
+      // Periodic knots whose spacing repeats the distances around the loop
+      const count = this.controlDisks.length - k;
+      const gaps = [];
+      for (let i = 0; i < count; i++) {
+        gaps.push(
+          distance(this.controlDisks[i], this.controlDisks[(i + 1) % count])
+        );
+      }
+      const total = gaps.reduce((sum, gap) => sum + gap, 0);
+
+      // Span j is shaped mostly by the disks in the middle of its support
+      const offset = Math.floor(k / 2);
+      const spanGap = (span) => {
+        const gap = gaps[(((span + offset) % count) + count) % count];
+        return total > 0 ? (gap * count) / total : 1;
+      };
+
+      const numKnots = this.controlDisks.length + k + 1;
+      this.knots[k] = 0;
+      for (let i = k + 1; i < numKnots; i++) {
+        this.knots[i] = this.knots[i - 1] + spanGap(i - 1 - k);
+      }
+      for (let i = k - 1; i >= 0; i--) {
+        this.knots[i] = this.knots[i + 1] - spanGap(i - k);
+      }
+    } else {
+      // Parameter values at each disk, then knots by averaging
+      const params = DiskBSpline.parameterValues(
+        this.controlDisks,
+        exponent,
+        n - k + 1
+      );
+      this.knots = DiskBSpline.averagedKnots(params, k);
+    }
+
+    if (this.debug) {
+      this.logMessage(`Generated knot vector: [${this.knots.join(", ")}]`);
+    }
+  }
+
+  /**
+   * Check that a knot vector is usable for the current control disks and degree
+   * @param {Array} knots - Knot vector to check
+   * @throws {Error} - If the knot vector has the wrong length, is not
+   *   non-decreasing, contains non-finite values, or repeats an interior knot
+   *   more than degree times
+   */
+  validateKnots(knots) {
+    const expected = this.controlDisks.length + this.degree + 1;
+    if (!Array.isArray(knots) || knots.length !== expected) {
+      throw new Error(
+        `Knot vector must have ${expected} entries (control disks + degree + 1), got ${
+          Array.isArray(knots) ? knots.length : typeof knots
+        }`
+      );
+    }
+
+    let multiplicity = 1;
+    for (let i = 0; i < knots.length; i++) {
+      if (!Number.isFinite(knots[i])) {
+        throw new Error(`Knot ${i} is not a finite number: ${knots[i]}`);
+      }
+      if (i === 0) continue;
+      if (knots[i] < knots[i - 1]) {
+        throw new Error(
+          `Knot vector must be non-decreasing, but knot ${i} (${
+            knots[i]
+          }) < knot ${i - 1} (${knots[i - 1]})`
+        );
+      }
+      multiplicity = knots[i] === knots[i - 1] ? multiplicity + 1 : 1;
+      const interior = i > this.degree && i < knots.length - this.degree - 1;
+      if (interior && multiplicity > this.degree) {
+        throw new Error(
+          `Interior knot ${knots[i]} is repeated ${multiplicity} times, at most ${this.degree} allowed`
+        );
+      }
+    }
+
+    if (knots[this.degree] >= knots[knots.length - this.degree - 1]) {
+      throw new Error(`Knot vector has an empty parameter range`);
+    }
+  }
+
+  /**
+   * Check whether any control disk has a weight other than 1
+   * @returns {boolean} - True if the curve is a rational disk B-spline
+   */
+  isRational() {
+    return this.controlDisks.some(
+      (disk) => disk.weight !== undefined && disk.weight !== 1
+    );
+  }
+
+  /**
+   * Generate uniform knot vector for the B-spline
+   */
+  generateUniformKnots() {
+    const n = this.controlDisks.length - 1;
+    const k = this.degree;
+
+    if (n < k) {
+      this.reportDiagnostic(
+        "TOO_FEW_DISKS",
+        "warning",
+        `Not enough control points (${n + 1}) for the specified degree (${k})`
+      );
+      return;
+    }
+
+    this.knots = [];
+    this.arcLengthTable = null;
+
+    if (this.closed) {
+      // For closed shapes, create a periodic knot vector
+      const numKnots = this.controlDisks.length + k + 1;
+      for (let i = 0; i < numKnots; i++) {
+        this.knots.push(i - k);
+      }
+    } else {
+      // Original open shape logic
+      for (let i = 0; i <= n + k + 1; i++) {
+        if (i < k + 1) {
+          this.knots.push(0);
+        } else if (i > n) {
+          this.knots.push(n - k + 1);
+        } else {
+          this.knots.push(i - k);
+        }
+      }
+    }
+
+    if (this.debug) {
+      this.logMessage(`Generated knot vector: [${this.knots.join(", ")}]`);
+    }
+  }
+
+  /**
+   * Find the knot span index containing u, i.e. the index i with
+   * knots[i] <= u < knots[i + 1], restricted to the valid range [degree, n]
+   * @param {number} u - Parameter value
+   * @returns {number} - Knot span index
+   */
+  findSpan(u) {
+    const n = this.controlDisks.length - 1;
+    const k = this.degree;
+
+    if (u >= this.knots[n + 1]) return n;
+    if (u <= this.knots[k]) return k;
+
+    // Binary search over the knot vector
+    let low = k;
+    let high = n + 1;
+    let mid = (low + high) >> 1;
+    while (u < this.knots[mid] || u >= this.knots[mid + 1]) {
+      if (u < this.knots[mid]) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+      mid = (low + high) >> 1;
+    }
+
+    return mid;
+  }
+
+  /**
+   * Compute the degree + 1 non-zero basis functions on a knot span
+   * (Piegl & Tiller, The NURBS Book, algorithm A2.2)
+   * @param {number} span - Knot span index from findSpan
+   * @param {number} u - Parameter value
+   * @param {Object} scratch - Optional arrays {values, left, right} of length degree + 1
+   *   to compute in instead of allocating new ones; values is returned
+   * @returns {Array} - Values of N[span - degree] ... N[span] at u
+   */
+  basisFunctionsAt(span, u, scratch = null) {
+    const k = this.degree;
+    const values = scratch?.values ?? [];
+    const left = scratch?.left ?? [];
+    const right = scratch?.right ?? [];
+    values[0] = 1;
+
+    for (let j = 1; j <= k; j++) {
+      left[j] = u - this.knots[span + 1 - j];
+      right[j] = this.knots[span + j] - u;
+      let saved = 0;
+      for (let r = 0; r < j; r++) {
+        const temp = values[r] / (right[r + 1] + left[j - r]);
+        values[r] = saved + right[r + 1] * temp;
+        saved = left[j - r] * temp;
+      }
+      values[j] = saved;
+    }
+
+    return values;
+  }
+
+  /**
+   * B-spline basis function N[i] of the curve's degree
+   * @deprecated Use findSpan and basisFunctionsAt, which compute every non-zero
+   *   basis function on a span at once
+   * @param {number} i - Index of the basis function
+   * @param {number} k - Degree of the basis function, which must be the curve's degree
+   * @param {number} u - Parameter value
+   * @returns {number} - Value of the basis function
+   * @throws {RangeError} - If k is not the degree of the curve
+   */
+  basisFunction(i, k, u) {
+    this.checkBasisDegree(k);
+    const span = this.findSpan(u);
+    const j = i - span + k;
+    return j >= 0 && j <= k ? this.basisFunctionsAt(span, u)[j] : 0;
+  }
+
+  /**
+   * Calculate the derivative of the B-spline basis function N[i] of the
+   * curve's degree
+   * @deprecated Use findSpan and basisFunctionDerivativesAt
+   * @param {number} i - Index of the basis function
+   * @param {number} k - Degree of the basis function, which must be the curve's degree
+   * @param {number} u - Parameter value
+   * @returns {number} - Value of the derivative of the basis function
+   * @throws {RangeError} - If k is not the degree of the curve
+   */
+  basisFunctionDerivative(i, k, u) {
+    this.checkBasisDegree(k);
+    const span = this.findSpan(u);
+    const j = i - span + k;
+    return j >= 0 && j <= k
+      ? this.basisFunctionDerivativesAt(span, u, 1)[1][j]
+      : 0;
+  }
+
+  /**
+   * Check the degree passed to basisFunction and basisFunctionDerivative
+   * @param {number} k - Degree of the basis function
+   * @throws {RangeError} - If k is not the degree of the curve
+   */
+  checkBasisDegree(k) {
+    if (k !== this.degree) {
+      throw new RangeError(
+        `Only basis functions of the curve's degree ${this.degree} can be evaluated, got ${k}`
+      );
+    }
+  }
+
+  /**
+   * Compute the non-zero basis functions on a knot span and their derivatives
+   * (Piegl & Tiller, The NURBS Book, algorithm A2.3)
+   * @param {number} span - Knot span index from findSpan
+   * @param {number} u - Parameter value
+   * @param {number} order - Highest derivative order to compute
+   * @returns {Array} - ders[d][j] is the d-th derivative of N[span - degree + j] at u
+   */
+  basisFunctionDerivativesAt(span, u, order) {
+    const k = this.degree;
+    const ndu = [[1]];
+    const left = [0];
+    const right = [0];
+
+    for (let j = 1; j <= k; j++) {
+      ndu[j] = [];
+      left[j] = u - this.knots[span + 1 - j];
+      right[j] = this.knots[span + j] - u;
+      let saved = 0;
+      for (let r = 0; r < j; r++) {
+        // Lower triangle holds the knot differences
+        ndu[j][r] = right[r + 1] + left[j - r];
+        const temp = ndu[r][j - 1] / ndu[j][r];
+        // Upper triangle holds the basis functions
+        ndu[r][j] = saved + right[r + 1] * temp;
+        saved = left[j - r] * temp;
+      }
+      ndu[j][j] = saved;
+    }
+
+    const ders = [];
+    for (let d = 0; d <= order; d++) {
+      ders.push(new Array(k + 1).fill(0));
+    }
+    for (let j = 0; j <= k; j++) {
+      ders[0][j] = ndu[j][k];
+    }
+
+    // Compute the derivatives from the basis functions of lower degree
+    for (let r = 0; r <= k; r++) {
+      let s1 = 0;
+      let s2 = 1;
+      const a = [new Array(k + 1).fill(0), new Array(k + 1).fill(0)];
+      a[0][0] = 1;
+
+      for (let d = 1; d <= Math.min(order, k); d++) {
+        let value = 0;
+        const rk = r - d;
+        const pk = k - d;
+
+        if (r >= d) {
+          a[s2][0] = a[s1][0] / ndu[pk + 1][rk];
+          value = a[s2][0] * ndu[rk][pk];
+        }
+
+        const j1 = rk >= -1 ? 1 : -rk;
+        const j2 = r - 1 <= pk ? d - 1 : k - r;
+        for (let j = j1; j <= j2; j++) {
+          a[s2][j] = (a[s1][j] - a[s1][j - 1]) / ndu[pk + 1][rk + j];
+          value += a[s2][j] * ndu[rk + j][pk];
+        }
+
+        if (r <= pk) {
+          a[s2][d] = -a[s1][d - 1] / ndu[pk + 1][r];
+          value += a[s2][d] * ndu[r][pk];
+        }
+
+        ders[d][r] = value;
+        [s1, s2] = [s2, s1];
+      }
+    }
+
+    // Multiply through by the correct factors k! / (k - d)!
+    let factor = k;
+    for (let d = 1; d <= order; d++) {
+      for (let j = 0; j <= k; j++) {
+        ders[d][j] *= factor;
+      }
+      factor *= k - d;
+    }
+
+    return ders;
+  }
+
+  /**
+   * Evaluate the B-spline at parameter u
+   * @param {number} u - Parameter value
+   * @returns {Object} - Disk at parameter u with center (x,y), radius and, if the control
+   *   disks have any, interpolated attributes
+   */
+  evaluateAt(u) {
+    if (this.controlDisks.length < this.degree + 1) {
+      this.reportDiagnostic(
+        "TOO_FEW_DISKS",
+        "error",
+        `Not enough control points (${this.controlDisks.length}) for the specified degree (${this.degree})`,
+        u
+      );
+      return { center: { x: 0, y: 0 }, radius: 0 };
+    }
+
+    const n = this.controlDisks.length - 1;
+
+    // Handle parameter wrapping for closed shapes or endpoint for open shapes
+    if (this.closed) {
+      u = this.normalizeParameter(u);
+    } else {
+      const originalU = u;
+      u = Math.max(this.knots[this.degree], Math.min(u, this.knots[n + 1]));
+
+      if (originalU !== u) {
+        this.reportDiagnostic(
+          "PARAMETER_CLAMPED",
+          "info",
+          `Parameter u=${originalU} clamped to u=${u}`,
+          originalU
+        );
+      }
+
+      // For open shapes, handle endpoint exactly
+      if (u === this.knots[n + 1] && this.isClampedAtEnd()) {
+        // At the endpoint, return the last control point
+        return this.controlDisks[n];
+      }
+    }
+
+    let centerX = 0;
+    let centerY = 0;
+    let radius = 0;
+    let totalBasis = 0;
+
+    // Calculate the weighted sum of the control disks on the active span
+    const span = this.findSpan(u);
+    const basisValues = this.basisFunctionsAt(span, u);
+    for (let j = 0; j <= this.degree; j++) {
+      const disk = this.controlDisks[span - this.degree + j];
+      const basis = basisValues[j] * (disk.weight ?? 1);
+      totalBasis += basis;
+      centerX += basis * disk.center.x;
+      centerY += basis * disk.center.y;
+      radius += basis * disk.radius;
+    }
+
+    const attributes =
+      this.attributeNames.length > 0
+        ? { attributes: this.attributesAt(span, basisValues) }
+        : {};
+
+    if (this.isRational()) {
+      // Project the homogeneous sum back by the total weight
+      return {
+        center: { x: centerX / totalBasis, y: centerY / totalBasis },
+        radius: radius / totalBasis,
+        ...attributes,
+      };
+    }
+
+    // Log if basis functions don't sum to 1 (within floating point error)
+    if (Math.abs(totalBasis - 1) > 0.0001) {
+      this.reportDiagnostic(
+        "BASIS_SUM",
+        "warning",
+        `Basis functions sum to ${totalBasis} at u=${u}, should be 1`,
+        u
+      );
+    }
+
+    return {
+      center: { x: centerX, y: centerY },
+      radius: radius,
+      ...attributes,
+    };
+  }
+
+  /**
+   * Interpolate the disk attributes on a knot span. Each attribute is
+   * averaged over the disks that have it, using the same basis functions
+   * and weights as the center and radius.
+   * @param {number} span - Knot span index from findSpan
+   * @param {Array} basisValues - Basis functions on the span from basisFunctionsAt
+   * @returns {Object} - Attribute values by name
+   */
+  attributesAt(span, basisValues) {
+    const attributes = {};
+    for (const name of this.attributeNames) {
+      let value = 0;
+      let total = 0;
+      for (let j = 0; j <= this.degree; j++) {
+        const disk = this.controlDisks[span - this.degree + j];
+        const own = disk.attributes?.[name];
+        if (own === undefined) continue;
+        const basis = basisValues[j] * (disk.weight ?? 1);
+        value += basis * own;
+        total += basis;
+      }
+      if (total > 1e-12) {
+        attributes[name] = value / total;
+      }
+    }
+    return attributes;
+  }
+
+  /**
+   * Evaluate the B-spline at many parameter values at once. The results are
+   * the same as from evaluateAt, but no object is allocated per point.
+   * @param {Array|Float64Array} us - Parameter values
+   * @param {Object} out - Optional output arrays {x, y, radius} to fill, each at least us.length long
+   * @returns {Object} - Typed arrays {x, y, radius} with one entry per parameter value
+   */
+  evaluateMany(us, out = null) {
+    const count = us.length;
+    const result = out ?? {
+      x: new Float64Array(count),
+      y: new Float64Array(count),
+      radius: new Float64Array(count),
+    };
+
+    const k = this.degree;
+    const n = this.controlDisks.length - 1;
+    if (n < k) {
+      this.reportDiagnostic(
+        "TOO_FEW_DISKS",
+        "error",
+        `Not enough control points (${this.controlDisks.length}) for the specified degree (${k})`
+      );
+      result.x.fill(0, 0, count);
+      result.y.fill(0, 0, count);
+      result.radius.fill(0, 0, count);
+      return result;
+    }
+
+    const start = this.knots[k];
+    const end = this.knots[n + 1];
+    const rational = this.isRational();
+    const endDisk =
+      !this.closed && this.isClampedAtEnd() ? this.controlDisks[n] : null;
+    const scratch = {
+      values: new Float64Array(k + 1),
+      left: new Float64Array(k + 1),
+      right: new Float64Array(k + 1),
+    };
+
+    for (let i = 0; i < count; i++) {
+      let u = us[i];
+      if (this.closed) {
+        u = this.normalizeParameter(u);
+      } else {
+        u = Math.max(start, Math.min(u, end));
+        if (u !== us[i]) {
+          this.reportDiagnostic(
+            "PARAMETER_CLAMPED",
+            "info",
+            `Parameter u=${us[i]} clamped to u=${u}`,
+            us[i]
+          );
+        }
+        if (u === end && endDisk) {
+          result.x[i] = endDisk.center.x;
+          result.y[i] = endDisk.center.y;
+          result.radius[i] = endDisk.radius;
+          continue;
+        }
+      }
+
+      // Same sums as evaluateAt, so the results match it exactly
+      const span = this.findSpan(u);
+      const values = this.basisFunctionsAt(span, u, scratch);
+      let x = 0;
+      let y = 0;
+      let radius = 0;
+      let totalBasis = 0;
+      for (let j = 0; j <= k; j++) {
+        const disk = this.controlDisks[span - k + j];
+        const basis = values[j] * (disk.weight ?? 1);
+        totalBasis += basis;
+        x += basis * disk.center.x;
+        y += basis * disk.center.y;
+        radius += basis * disk.radius;
+      }
+
+      if (rational) {
+        x /= totalBasis;
+        y /= totalBasis;
+        radius /= totalBasis;
+      } else if (Math.abs(totalBasis - 1) > 0.0001) {
+        this.reportDiagnostic(
+          "BASIS_SUM",
+          "warning",
+          `Basis functions sum to ${totalBasis} at u=${u}, should be 1`,
+          u
+        );
+      }
+
+      result.x[i] = x;
+      result.y[i] = y;
+      result.radius[i] = radius;
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate the derivative of the B-spline at parameter u
+   * @param {number} u - Parameter value
+   * @returns {Object} - Derivative vector {x, y} and radius change rate
+   */
+  evaluateDerivativeAt(u) {
+    if (this.controlDisks.length < this.degree + 1) {
+      return { x: 0, y: 0, radiusRate: 0 };
+    }
+
+    const n = this.controlDisks.length - 1;
+
+    // Handle parameter wrapping/clamping
+    if (this.closed) {
+      u = this.normalizeParameter(u);
+    } else {
+      // For open curves, special handling of endpoints
+      if (u >= this.knots[n + 1] && this.isClampedAtEnd()) {
+        // At the end point, use the direction from the second-to-last to last control point
+        const last = this.controlDisks[n];
+        const secondToLast = this.controlDisks[n - 1];
+        const dx = last.center.x - secondToLast.center.x;
+        const dy = last.center.y - secondToLast.center.y;
+        const dr = last.radius - secondToLast.radius;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > 0.0001) {
+          return {
+            x: dx / length,
+            y: dy / length,
+            radiusRate: dr / length,
+          };
+        }
+      } else if (u <= this.knots[this.degree] && this.isClampedAtStart()) {
+        // At the start point, use the direction from first to second control point
+        const first = this.controlDisks[0];
+        const second = this.controlDisks[1];
+        const dx = second.center.x - first.center.x;
+        const dy = second.center.y - first.center.y;
+        const dr = second.radius - first.radius;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > 0.0001) {
+          return {
+            x: dx / length,
+            y: dy / length,
+            radiusRate: dr / length,
+          };
+        }
+      }
+      // Clamp parameter to valid range
+      u = Math.max(this.knots[this.degree], Math.min(u, this.knots[n + 1]));
+    }
+
+    if (this.isRational()) {
+      const d1 = this.evaluateDerivativesAt(u, 1)[1];
+      return { x: d1.x, y: d1.y, radiusRate: d1.radius };
+    }
+
+    let dx = 0,
+      dy = 0,
+      dr = 0;
+    let totalDerivative = 0;
+
+    // Calculate the derivative using the chain rule on the active span
+    const span = this.findSpan(u);
+    const derivatives = this.basisFunctionDerivativesAt(span, u, 1)[1];
+    for (let j = 0; j <= this.degree; j++) {
+      const derivative = derivatives[j];
+      const disk = this.controlDisks[span - this.degree + j];
+      totalDerivative += derivative;
+      dx += derivative * disk.center.x;
+      dy += derivative * disk.center.y;
+      dr += derivative * disk.radius;
+    }
+
+    // Log if derivatives don't sum to 0 (within floating point error)
+    if (Math.abs(totalDerivative) > 0.0001) {
+      this.reportDiagnostic(
+        "BASIS_DERIVATIVE_SUM",
+        "warning",
+        `Basis function derivatives sum to ${totalDerivative} at u=${u}, should be 0`,
+        u
+      );
+    }
+
+    return { x: dx, y: dy, radiusRate: dr };
+  }
+
+  /**
+   * Wrap u into the period of a closed curve, or clamp it to the valid range of an open one
+   * @param {number} u - Parameter value
+   * @returns {number} - Parameter value inside [knots[degree], knots[n + 1]]
+   */
+  normalizeParameter(u) {
+    const n = this.controlDisks.length - 1;
+    const start = this.knots[this.degree];
+    const end = this.knots[n + 1];
+
+    if (this.closed) {
+      const period = end - start;
+      return start + ((((u - start) % period) + period) % period);
+    }
+    return Math.max(start, Math.min(u, end));
+  }
+
+  /**
+   * Evaluate the centerline and radius together with their derivatives,
+   * computed analytically from the basis function derivatives
+   * @param {number} u - Parameter value
+   * @param {number} order - Highest derivative order to compute
+   * @returns {Array} - Entry d is {x, y, radius} for the d-th derivative
+   */
+  evaluateDerivativesAt(u, order) {
+    const result = [];
+    for (let d = 0; d <= order; d++) {
+      result.push({ x: 0, y: 0, radius: 0 });
+    }
+
+    if (this.controlDisks.length < this.degree + 1) {
+      return result;
+    }
+
+    u = this.normalizeParameter(u);
+    const span = this.findSpan(u);
+    const ders = this.basisFunctionDerivativesAt(span, u, order);
+
+    if (!this.isRational()) {
+      for (let d = 0; d <= order; d++) {
+        for (let j = 0; j <= this.degree; j++) {
+          const disk = this.controlDisks[span - this.degree + j];
+          result[d].x += ders[d][j] * disk.center.x;
+          result[d].y += ders[d][j] * disk.center.y;
+          result[d].radius += ders[d][j] * disk.radius;
+        }
+      }
+      return result;
+    }
+
+    // Derivatives of the homogeneous numerator A(u) and weight W(u)
+    const numerators = [];
+    const weights = [];
+    for (let d = 0; d <= order; d++) {
+      const a = { x: 0, y: 0, radius: 0 };
+      let w = 0;
+      for (let j = 0; j <= this.degree; j++) {
+        const disk = this.controlDisks[span - this.degree + j];
+        const weight = ders[d][j] * (disk.weight ?? 1);
+        a.x += weight * disk.center.x;
+        a.y += weight * disk.center.y;
+        a.radius += weight * disk.radius;
+        w += weight;
+      }
+      numerators.push(a);
+      weights.push(w);
+    }
+
+    // C(d) = (A(d) - sum over i of binom(d, i) W(i) C(d - i)) / W
+    // (The NURBS Book, eq. 4.8)
+    for (let d = 0; d <= order; d++) {
+      const value = { ...numerators[d] };
+      let binomial = 1;
+      for (let i = 1; i <= d; i++) {
+        binomial = (binomial * (d - i + 1)) / i;
+        value.x -= binomial * weights[i] * result[d - i].x;
+        value.y -= binomial * weights[i] * result[d - i].y;
+        value.radius -= binomial * weights[i] * result[d - i].radius;
+      }
+      result[d] = {
+        x: value.x / weights[0],
+        y: value.y / weights[0],
+        radius: value.radius / weights[0],
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether an open curve's knot vector starts with degree + 1 equal knots,
+   * so that the curve starts at the first control disk
+   * @returns {boolean} - True if the start is clamped
+   */
+  isClampedAtStart() {
+    return this.knots[0] === this.knots[this.degree];
+  }
+
+  /**
+   * Check whether an open curve's knot vector ends with degree + 1 equal knots,
+   * so that the curve ends at the last control disk
+   * @returns {boolean} - True if the end is clamped
+   */
+  isClampedAtEnd() {
+    const last = this.knots.length - 1;
+    return this.knots[last] === this.knots[last - this.degree];
+  }
+
+  /**
+   * Evaluate the second derivative of the B-spline at parameter u
+   * @param {number} u - Parameter value
+   * @returns {Object} - Second derivative vector {x, y} and radiusAcceleration (d²r/du²)
+   */
+  evaluateSecondDerivativeAt(u) {
+    const d2 = this.evaluateDerivativesAt(u, 2)[2];
+    return { x: d2.x, y: d2.y, radiusAcceleration: d2.radius };
+  }
+
+  /**
+   * Calculate the signed curvature of the centerline at parameter u.
+   * Positive curvature turns toward the normal used by toSVGPath.
+   * @param {number} u - Parameter value
+   * @returns {number} - Signed curvature, or 0 where the derivative vanishes
+   */
+  curvatureAt(u) {
+    return this.frameAt(u).curvature;
+  }
+
+  /**
+   * Calculate the moving frame of the centerline at parameter u
+   * @param {number} u - Parameter value
+   * @returns {Object} - Unit tangent, unit normal and signed curvature {tangent, normal, curvature}
+   */
+  frameAt(u) {
+    const [, d1, d2] = this.evaluateDerivativesAt(u, 2);
+    const speed = Math.sqrt(d1.x * d1.x + d1.y * d1.y);
+
+    if (speed <= 0.0001) {
+      // At a cusp the curve leaves in the direction of the second derivative
+      const fallback = this.unitVector({ x: 0, y: 0 }, d2);
+      const tangent =
+        fallback.x === 0 && fallback.y === 0 ? { x: 1, y: 0 } : fallback;
+      return {
+        tangent,
+        normal: { x: -tangent.y, y: tangent.x },
+        curvature: 0,
+      };
+    }
+
+    const tangent = { x: d1.x / speed, y: d1.y / speed };
+
+    return {
+      tangent,
+      normal: { x: -tangent.y, y: tangent.x },
+      curvature: (d1.x * d2.y - d1.y * d2.x) / (speed * speed * speed),
+    };
+  }
+
+  /**
+   * Refine a parameter value so that the centerline point is closest to a
+   * given point, using Newton's method on the squared distance
+   * @param {Object} point - Point {x, y}
+   * @param {number} u - Starting parameter value
+   * @param {number} iterations - Maximum Newton iterations (default: 4)
+   * @returns {number} - Refined parameter value inside the valid range
+   */
+  projectParameter(point, u, iterations = 4) {
+    for (let i = 0; i < iterations; i++) {
+      const [c, d1, d2] = this.evaluateDerivativesAt(u, 2);
+      const dx = c.x - point.x;
+      const dy = c.y - point.y;
+      const numerator = dx * d1.x + dy * d1.y;
+      const denominator = d1.x * d1.x + d1.y * d1.y + dx * d2.x + dy * d2.y;
+      if (Math.abs(denominator) < 1e-12) break;
+
+      const next = this.normalizeParameter(u - numerator / denominator);
+      if (Math.abs(next - u) < 1e-12) break;
+      u = next;
+    }
+    return u;
+  }
+
+  /**
+   * Find the point on the centerline closest to a given point. Every knot
+   * span is sampled and the best local minima refined with Newton's method,
+   * so the result is the global closest point rather than a nearby one.
+   * @param {Object} point - Point {x, y}
+   * @returns {Object} - {u, disk, distance}: parameter value, disk at u and
+   *   distance from the point to the disk center
+   */
+  closestPoint(point) {
+    const distanceAt = (u) => {
+      const { center } = this.evaluateAt(u);
+      return Math.hypot(center.x - point.x, center.y - point.y);
+    };
+    const u = this.minimizeOverCurve(distanceAt, (u) =>
+      this.projectParameter(point, u, 8)
+    );
+    return { u, disk: this.evaluateAt(u), distance: distanceAt(u) };
+  }
+
+  /**
+   * Signed distance from a point to the outline of the swept disk region,
+   * the union of all disks along the curve (which round caps follow exactly).
+   * Positive outside. Inside it is negative, and its magnitude is the depth
+   * inside the deepest disk, which never exceeds the distance to the outline.
+   * @param {Object} point - Point {x, y}
+   * @returns {number} - Signed distance to the outline
+   */
+  distanceToBoundary(point) {
+    const gapAt = (u) => {
+      const { center, radius } = this.evaluateAt(u);
+      return Math.hypot(center.x - point.x, center.y - point.y) - radius;
+    };
+    return gapAt(
+      this.minimizeOverCurve(gapAt, (u) => this.refineSweptDistance(point, u))
+    );
+  }
+
+  /**
+   * Test whether a point lies inside the swept disk region
+   * @param {Object} point - Point {x, y}
+   * @returns {boolean} - True if the point is inside or on the outline
+   */
+  containsPoint(point) {
+    return this.distanceToBoundary(point) <= 0;
+  }
+
+  /**
+   * Refine a parameter value so that |point - center(u)| - radius(u) is
+   * smallest, using Newton's method. Stops where the function is not convex,
+   * since Newton steps would head for a maximum there.
+   * @param {Object} point - Point {x, y}
+   * @param {number} u - Starting parameter value
+   * @param {number} iterations - Maximum Newton iterations (default: 8)
+   * @returns {number} - Refined parameter value inside the valid range
+   */
+  refineSweptDistance(point, u, iterations = 8) {
+    for (let i = 0; i < iterations; i++) {
+      const [c, d1, d2] = this.evaluateDerivativesAt(u, 2);
+      const dx = c.x - point.x;
+      const dy = c.y - point.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance < 1e-12) break;
+
+      const dot = dx * d1.x + dy * d1.y;
+      const slope = dot / distance - d1.radius;
+      const bend =
+        (d1.x * d1.x + d1.y * d1.y + dx * d2.x + dy * d2.y) / distance -
+        (dot * dot) / (distance * distance * distance) -
+        d2.radius;
+      if (bend < 1e-12) break;
+
+      const next = this.normalizeParameter(u - slope / bend);
+      if (Math.abs(next - u) < 1e-12) break;
+      u = next;
+    }
+    return u;
+  }
+
+  /**
+   * Minimize a function of the parameter over the whole curve: sample each
+   * knot span, narrow the three best local minima of the samples down by
+   * golden-section search between their neighbours, then polish them
+   * @param {Function} measure - Function of u to minimize
+   * @param {Function} refine - Maps a starting parameter to a refined one
+   * @returns {number} - Parameter value with the smallest measure found
+   */
+  minimizeOverCurve(measure, refine) {
+    const boundaries = this.getSpanBoundaries();
+    const samples = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      for (let j = 0; j < 8; j++) {
+        const u =
+          boundaries[i] + ((boundaries[i + 1] - boundaries[i]) * j) / 8;
+        samples.push({ u, value: measure(u) });
+      }
+    }
+    if (!this.closed) {
+      const u = boundaries[boundaries.length - 1];
+      samples.push({ u, value: measure(u) });
+    }
+
+    // Local minima of the samples, wrapping around for closed shapes
+    const count = samples.length;
+    const period = boundaries[boundaries.length - 1] - boundaries[0];
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      let low = samples[i].u;
+      let high = samples[i].u;
+      if (i > 0) {
+        if (samples[i - 1].value < samples[i].value) continue;
+        low = samples[i - 1].u;
+      } else if (this.closed) {
+        if (samples[count - 1].value < samples[i].value) continue;
+        low = samples[count - 1].u - period;
+      }
+      if (i < count - 1) {
+        if (samples[i + 1].value < samples[i].value) continue;
+        high = samples[i + 1].u;
+      } else if (this.closed) {
+        if (samples[0].value < samples[i].value) continue;
+        high = samples[0].u + period;
+      }
+      candidates.push({ ...samples[i], low, high });
+    }
+    candidates.sort((a, b) => a.value - b.value);
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let best = candidates[0];
+    for (let { low, high } of candidates.slice(0, 3)) {
+      let a = high - ratio * (high - low);
+      let b = low + ratio * (high - low);
+      let valueA = measure(a);
+      let valueB = measure(b);
+      for (let i = 0; i < 40; i++) {
+        if (valueA < valueB) {
+          high = b;
+          b = a;
+          valueB = valueA;
+          a = high - ratio * (high - low);
+          valueA = measure(a);
+        } else {
+          low = a;
+          a = b;
+          valueA = valueB;
+          b = low + ratio * (high - low);
+          valueB = measure(b);
+        }
+      }
+
+      const narrowed = this.normalizeParameter((low + high) / 2);
+      for (const u of [narrowed, refine(narrowed)]) {
+        const value = measure(u);
+        if (value < best.value) best = { u, value };
+      }
+    }
+    return best.u;
+  }
+
+  /**
+   * Get the tight bounds of the swept disk region, which is the shape drawn
+   * with round caps. Each side is the global extremum of center ± radius,
+   * found like closestPoint by sampling every span and refining.
+   * @returns {Object} - Bounds {minX, minY, maxX, maxY, width, height}
+   */
+  getBoundingBox() {
+    const extent = (measure) =>
+      measure(this.minimizeOverCurve(measure, (u) => u));
+    const side = (axis, sign) =>
+      extent((u) => {
+        const { center, radius } = this.evaluateAt(u);
+        return sign * center[axis] - radius;
+      });
+
+    return this.boundsFromSides(
+      side("x", 1),
+      side("y", 1),
+      -side("x", -1),
+      -side("y", -1)
+    );
+  }
+
+  /**
+   * Get bounds that contain every control disk. The curve stays inside
+   * them because each swept disk is a weighted average of control disks,
+   * so this is cheap but not tight.
+   * @returns {Object} - Bounds {minX, minY, maxX, maxY, width, height}
+   */
+  getControlBoundingBox() {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const { center, radius } of this.sourceDisks) {
+      minX = Math.min(minX, center.x - radius);
+      minY = Math.min(minY, center.y - radius);
+      maxX = Math.max(maxX, center.x + radius);
+      maxY = Math.max(maxY, center.y + radius);
+    }
+    return this.boundsFromSides(minX, minY, maxX, maxY);
+  }
+
+  /**
+   * Build a bounds object from its sides
+   * @param {number} minX - Left side
+   * @param {number} minY - Top side
+   * @param {number} maxX - Right side
+   * @param {number} maxY - Bottom side
+   * @returns {Object} - Bounds {minX, minY, maxX, maxY, width, height}
+   */
+  boundsFromSides(minX, minY, maxX, maxY) {
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Get an SVG viewBox attribute value that frames the curve
+   * @param {number} padding - Space added on every side (default: 0)
+   * @param {Object} bounds - Bounds to frame (default: getBoundingBox())
+   * @returns {string} - "minX minY width height"
+   */
+  getViewBox(padding = 0, bounds = this.getBoundingBox()) {
+    return [
+      bounds.minX - padding,
+      bounds.minY - padding,
+      bounds.width + 2 * padding,
+      bounds.height + 2 * padding,
+    ].join(" ");
+  }
+
+  /**
+   * Calculate curvature at a point using derivatives
+   * @param {number} u - Parameter value
+   * @returns {number} - Curvature at the point
+   */
+  calculateCurvatureAt(u) {
+    return Math.abs(this.curvatureAt(u));
+  }
+
+  /**
+   * Generate a sequence of disks along the B-spline with adaptive sampling
+   * @param {number} baseNumSamples - Base number of sample points
+   * @param {number} maxNumSamples - Maximum number of sample points
+   * @param {Object} options - Sampling thresholds, see sampleCurveAdaptiveWithParameters
+   * @returns {Array} - Array of disks along the curve
+   */
+  sampleCurveAdaptive(baseNumSamples = 50, maxNumSamples = 200, options = {}) {
+    return this.sampleCurveAdaptiveWithParameters(
+      baseNumSamples,
+      maxNumSamples,
+      options
+    ).map((sample) => sample.disk);
+  }
+
+  /**
+   * Generate a sequence of samples along the B-spline with adaptive sampling,
+   * keeping the parameter value of each sample
+   * @param {number} baseNumSamples - Base number of sample points
+   * @param {number} maxNumSamples - Maximum number of sample points
+   * @param {Object} options - Sampling thresholds
+   * @param {number} options.curvatureThreshold - Normalized curvature above which extra samples are added (default: 0.15)
+   * @param {number} options.maxExtraSamples - Maximum extra samples between two base samples (default: 4)
+   * @param {number} options.minSegmentLength - Segments shorter than this are never refined (default: 0.5)
+   * @returns {Array} - Array of {u, disk} samples along the curve
+   */
+  sampleCurveAdaptiveWithParameters(
+    baseNumSamples = 50,
+    maxNumSamples = 200,
+    options = {}
+  ) {
+    if (this.controlDisks.length < this.degree + 1) {
+      this.reportDiagnostic(
+        "TOO_FEW_DISKS",
+        "error",
+        `Not enough control points for the specified degree. Need at least ${
+          this.degree + 1
+        } points for degree ${this.degree}.`
+      );
+      return [];
+    }
+
+    const result = [];
+    const n = this.controlDisks.length - 1;
+    const startU = this.knots[this.degree];
+    const endU = this.closed ? this.knots[n + 1] : this.knots[n + 1];
+
+    // First pass: sample uniformly and calculate curvatures
+    const uniformSamples = [];
+    const curvatures = [];
+    let maxCurvature = 0;
+
+    // Increase base sampling for complex curves
+    const effectiveBaseSamples = Math.max(
+      baseNumSamples,
+      Math.min(200, Math.round(this.controlDisks.length * 20))
+    );
+
+    for (let i = 0; i < effectiveBaseSamples; i++) {
+      const u = startU + (i / (effectiveBaseSamples - 1)) * (endU - startU);
+      const disk = this.evaluateAt(u);
+      const curvature = this.calculateCurvatureAt(u);
+
+      uniformSamples.push({ u, disk });
+      curvatures.push(curvature);
+      maxCurvature = Math.max(maxCurvature, curvature);
+    }
+
+    // Second pass: add additional samples based on curvature
+    const adaptiveSamples = [];
+    const curvatureThreshold = options.curvatureThreshold ?? 0.15; // Lower threshold to catch more turns
+    const maxExtraSamples = options.maxExtraSamples ?? 4; // Allow more samples between points
+    const minSegmentLength = options.minSegmentLength ?? 0.5; // Minimum length between samples to prevent over-sampling
+
+    for (let i = 0; i < uniformSamples.length - 1; i++) {
+      adaptiveSamples.push(uniformSamples[i]);
+
+      const normalizedCurvature =
+        maxCurvature > 0 ? curvatures[i] / maxCurvature : 0;
+
+      // Calculate segment length
+      const dx =
+        uniformSamples[i + 1].disk.center.x - uniformSamples[i].disk.center.x;
+      const dy =
+        uniformSamples[i + 1].disk.center.y - uniformSamples[i].disk.center.y;
+      const segmentLength = Math.sqrt(dx * dx + dy * dy);
+
+      if (
+        normalizedCurvature > curvatureThreshold &&
+        adaptiveSamples.length < maxNumSamples &&
+        segmentLength > minSegmentLength
+      ) {
+        // Calculate number of extra samples based on both curvature and segment length
+        const numExtraSamples = Math.min(
+          maxExtraSamples,
+          Math.floor(
+            normalizedCurvature * maxExtraSamples * (segmentLength / 10)
+          )
+        );
+
+        const u1 = uniformSamples[i].u;
+        const u2 = uniformSamples[i + 1].u;
+
+        for (let j = 1; j <= numExtraSamples; j++) {
+          const u = u1 + (j / (numExtraSamples + 1)) * (u2 - u1);
+          adaptiveSamples.push({ u, disk: this.evaluateAt(u) });
+        }
+      }
+    }
+    adaptiveSamples.push(uniformSamples[uniformSamples.length - 1]);
+
+    this.logMessage(
+      `Adaptive sampling generated ${adaptiveSamples.length} points from base ${effectiveBaseSamples}`
+    );
+
+    return adaptiveSamples;
+  }
+
+  /**
+   * Calculate the unit normal from a derivative
+   * @param {Object} derivative - Derivative {x, y} of the centerline
+   * @param {Object} fallback - Normal to use if the derivative vanishes (default: {x: 1, y: 0})
+   * @returns {Object|null} - Unit normal {x, y}, or null if the derivative vanishes and no fallback is given
+   */
+  normalFromDerivative(derivative, fallback = null) {
+    const length = Math.sqrt(
+      derivative.x * derivative.x + derivative.y * derivative.y
+    );
+
+    if (length > 0.0001) {
+      return { x: -derivative.y / length, y: derivative.x / length };
+    }
+    return fallback;
+  }
+
+  /**
+   * Calculate the upper and lower boundary points of a disk
+   * @param {Object} disk - Disk with center (x,y) and radius
+   * @param {Object} normal - Unit normal at the disk
+   * @param {Object} derivative - Derivative {x, y, radiusRate} at the disk
+   * @param {string} boundary - "normal" or "envelope"
+   * @param {number} u - Parameter of the disk, for diagnostics (default: null)
+   * @returns {Object} - Upper and lower boundary points
+   */
+  boundaryPoints(disk, normal, derivative, boundary = "normal", u = null) {
+    if (boundary === "envelope") {
+      // Use the contact points of the swept disk envelope
+      const offsets = this.envelopeOffsets(
+        derivative,
+        disk.radius,
+        normal,
+        u
+      );
+      return {
+        upper: {
+          x: disk.center.x + offsets.upper.x,
+          y: disk.center.y + offsets.upper.y,
+        },
+        lower: {
+          x: disk.center.x + offsets.lower.x,
+          y: disk.center.y + offsets.lower.y,
+        },
+      };
+    }
+
+    return {
+      upper: {
+        x: disk.center.x + normal.x * disk.radius,
+        y: disk.center.y + normal.y * disk.radius,
+      },
+      lower: {
+        x: disk.center.x - normal.x * disk.radius,
+        y: disk.center.y - normal.y * disk.radius,
+      },
+    };
+  }
+
+  /**
+   * Distance from a point to the segment between two other points
+   * @param {Object} point - Point {x, y}
+   * @param {Object} a - Segment start {x, y}
+   * @param {Object} b - Segment end {x, y}
+   * @returns {number} - Distance to the segment
+   */
+  distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    let t = 0;
+    if (lengthSquared > 0) {
+      t = ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared;
+      t = Math.max(0, Math.min(1, t));
+    }
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+  }
+
+  /**
+   * Tessellate the B-spline so that the centerline and both boundaries stay
+   * within a chordal error tolerance of the curve. Each interval is split at
+   * its parameter midpoint until the midpoint samples lie within tolerance of
+   * the chords between the interval's end samples.
+   * @param {Object} options - Tessellation options
+   * @param {number} options.tolerance - Maximum chordal error in output units (default: 0.25)
+   * @param {string} options.boundary - "normal" or "envelope" (default: "normal")
+   * @param {number} options.initialSegments - Intervals to start refining from, spread over the knot spans (default: 4 per knot span)
+   * @param {number} options.maxDepth - Maximum recursion depth per initial interval (default: 10)
+   * @returns {Array} - Array of {u, disk, normal} samples along the curve
+   */
+  tessellate(options = {}) {
+    if (this.controlDisks.length < this.degree + 1) {
+      this.reportDiagnostic(
+        "TOO_FEW_DISKS",
+        "error",
+        `Not enough control points for the specified degree. Need at least ${
+          this.degree + 1
+        } points for degree ${this.degree}.`
+      );
+      return [];
+    }
+
+    const tolerance = options.tolerance ?? 0.25;
+    const boundary = options.boundary ?? "normal";
+    const maxDepth = options.maxDepth ?? 10;
+    // Start from the span boundaries so that corners at repeated knots are sampled exactly
+    const boundaries = this.getSpanBoundaries();
+    const perSpan =
+      options.initialSegments !== undefined
+        ? Math.max(1, Math.ceil(options.initialSegments / (boundaries.length - 1)))
+        : 4;
+    const initialUs = [];
+    for (let b = 1; b < boundaries.length; b++) {
+      for (let i = 1; i <= perSpan; i++) {
+        initialUs.push(
+          boundaries[b - 1] + (i / perSpan) * (boundaries[b] - boundaries[b - 1])
+        );
+      }
+    }
+
+    let lastNormal = { x: 1, y: 0 };
+    const sampleAt = (u) => {
+      const disk = this.evaluateAt(u);
+      const derivative = this.evaluateDerivativeAt(u);
+      const normal = this.normalFromDerivative(derivative, lastNormal);
+      const { upper, lower } = this.boundaryPoints(
+        disk,
+        normal,
+        derivative,
+        boundary,
+        u
+      );
+      return { u, disk, normal, upper, lower };
+    };
+
+    const exceedsTolerance = (a, mid, b) =>
+      this.distanceToSegment(mid.disk.center, a.disk.center, b.disk.center) >
+        tolerance ||
+      this.distanceToSegment(mid.upper, a.upper, b.upper) > tolerance ||
+      this.distanceToSegment(mid.lower, a.lower, b.lower) > tolerance;
+
+    const samples = [sampleAt(boundaries[0])];
+    const refine = (a, b, depth) => {
+      lastNormal = a.normal;
+      const mid = sampleAt((a.u + b.u) / 2);
+      if (depth < maxDepth && exceedsTolerance(a, mid, b)) {
+        refine(a, mid, depth + 1);
+        refine(mid, b, depth + 1);
+      } else {
+        samples.push(b);
+      }
+    };
+
+    for (const u of initialUs) {
+      const a = samples[samples.length - 1];
+      lastNormal = a.normal;
+      refine(a, sampleAt(u), 0);
+    }
+
+    this.logMessage(
+      `Tessellation generated ${samples.length} points within tolerance ${tolerance}`
+    );
+
+    return samples.map(({ u, disk, normal }) => ({ u, disk, normal }));
+  }
+
+  /**
+   * Get the valid parameter range of the curve
+   * @returns {Object} - Start and end parameter values {start, end}
+   */
+  getParameterRange() {
+    const n = this.controlDisks.length - 1;
+    return { start: this.knots[this.degree], end: this.knots[n + 1] };
+  }
+
+  /**
+   * Get the distinct knot values inside the valid parameter range, which
+   * bound the polynomial pieces of the curve
+   * @returns {Array} - Increasing parameter values from start to end
+   */
+  getSpanBoundaries() {
+    const { start, end } = this.getParameterRange();
+    const boundaries = [start];
+    for (const knot of this.knots) {
+      if (knot > boundaries[boundaries.length - 1] && knot < end) {
+        boundaries.push(knot);
+      }
+    }
+    boundaries.push(end);
+    return boundaries;
+  }
+
+  /**
+   * Integrate the speed |C'(u)| of the centerline over [u0, u1] with
+   * 5-point Gauss-Legendre quadrature
+   * @param {number} u0 - Start parameter
+   * @param {number} u1 - End parameter
+   * @returns {number} - Arc length between u0 and u1
+   */
+  integrateSpeed(u0, u1) {
+    const nodes = [
+      [0, 0.5688888888888889],
+      [-0.5384693101056831, 0.47862867049936647],
+      [0.5384693101056831, 0.47862867049936647],
+      [-0.906179845938664, 0.23692688505618908],
+      [0.906179845938664, 0.23692688505618908],
+    ];
+    const half = (u1 - u0) / 2;
+    const mid = (u0 + u1) / 2;
+
+    let length = 0;
+    for (const [x, weight] of nodes) {
+      const derivative = this.evaluateDerivativeAt(mid + half * x);
+      length += weight * Math.hypot(derivative.x, derivative.y);
+    }
+
+    return length * half;
+  }
+
+  /**
+   * Build (or return the cached) table mapping parameter values to arc length
+   * @returns {Array} - Array of {u, s} entries with s increasing from 0
+   */
+  getArcLengthTable() {
+    if (this.arcLengthTable) return this.arcLengthTable;
+
+    if (this.controlDisks.length < this.degree + 1) {
+      return [];
+    }
+
+    const subdivisions = 16;
+    const boundaries = this.getSpanBoundaries();
+    const table = [{ u: boundaries[0], s: 0 }];
+
+    let s = 0;
+    for (let b = 1; b < boundaries.length; b++) {
+      const spanStart = boundaries[b - 1];
+      const spanEnd = boundaries[b];
+      for (let i = 1; i <= subdivisions; i++) {
+        const u0 = spanStart + ((i - 1) / subdivisions) * (spanEnd - spanStart);
+        const u1 = spanStart + (i / subdivisions) * (spanEnd - spanStart);
+        s += this.integrateSpeed(u0, u1);
+        table.push({ u: u1, s });
+      }
+    }
+
+    this.arcLengthTable = table;
+    this.logMessage(
+      `Built arc-length table with ${table.length} entries, length ${s}`
+    );
+
+    return table;
+  }
+
+  /**
+   * Get the total arc length of the centerline
+   * @returns {number} - Length of the skeleton curve
+   */
+  getLength() {
+    const table = this.getArcLengthTable();
+    return table.length > 0 ? table[table.length - 1].s : 0;
+  }
+
+  /**
+   * Find the parameter value at a given arc length along the centerline
+   * @param {number} s - Arc length from the start, clamped to [0, getLength()]
+   * @returns {number} - Parameter value u
+   */
+  uAtLength(s) {
+    const table = this.getArcLengthTable();
+    if (table.length === 0) return 0;
+
+    const total = table[table.length - 1].s;
+    if (s <= 0) return table[0].u;
+    if (s >= total) return table[table.length - 1].u;
+
+    // Binary search for the table interval containing s
+    let low = 0;
+    let high = table.length - 1;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (table[mid].s < s) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    const a = table[low];
+    const b = table[high];
+    const span = b.s - a.s;
+    let u = span > 0 ? a.u + ((s - a.s) / span) * (b.u - a.u) : a.u;
+
+    // Refine with Newton's method, staying inside the interval
+    for (let iteration = 0; iteration < 4; iteration++) {
+      const error = a.s + this.integrateSpeed(a.u, u) - s;
+      const derivative = this.evaluateDerivativeAt(u);
+      const speed = Math.hypot(derivative.x, derivative.y);
+      if (Math.abs(error) < 1e-9 || speed < 1e-9) break;
+      u = Math.max(a.u, Math.min(b.u, u - error / speed));
+    }
+
+    return u;
+  }
+
+  /**
+   * Evaluate the B-spline at a given arc length along the centerline
+   * @param {number} s - Arc length from the start
+   * @returns {Object} - Disk at that distance with center (x,y) and radius
+   */
+  evaluateAtLength(s) {
+    return this.evaluateAt(this.uAtLength(s));
+  }
+
+  /**
+   * Evaluate the B-spline at a fraction of its total arc length
+   * @param {number} fraction - Fraction of the length, from 0 to 1
+   * @returns {Object} - Disk at that fraction with center (x,y) and radius
+   */
+  pointAtFraction(fraction) {
+    return this.evaluateAtLength(fraction * this.getLength());
+  }
+
+  /**
+   * Generate a sequence of disks evenly spaced by arc length
+   * @param {number} numSamples - Number of sample points
+   * @returns {Array} - Array of {u, disk} samples along the curve
+   */
+  sampleCurveArcLength(numSamples = 50) {
+    if (this.controlDisks.length < this.degree + 1) {
+      this.reportDiagnostic(
+        "TOO_FEW_DISKS",
+        "error",
+        `Not enough control points for the specified degree. Need at least ${
+          this.degree + 1
+        } points for degree ${this.degree}.`
+      );
+      return [];
+    }
+
+    const length = this.getLength();
+    const samples = [];
+    for (let i = 0; i < numSamples; i++) {
+      const u = this.uAtLength((i / (numSamples - 1)) * length);
+      samples.push({ u, disk: this.evaluateAt(u) });
+    }
+
+    this.logMessage(
+      `Arc-length sampling generated ${samples.length} points over length ${length}`
+    );
+
+    return samples;
+  }
+
+  /**
+   * Create a path from the sequence of disks
+   * @param {Array} points - Array of points along the curve
+   * @returns {string} - SVG path string
+   */
+  createSmoothPath(points) {
+    if (points.length < 2) return "";
+
+    // For just 2 points, use a simple line
+    if (points.length === 2) {
+      return `M ${points[0].x} ${points[0].y} L ${points[1].x} ${points[1].y}`;
+    }
+
+    // For more points, we'll create a smooth path
+    let path = `M ${points[0].x} ${points[0].y}`;
+
+    // For simplicity, we'll use a Catmull-Rom spline approximation with straight lines
+    // This avoids overshooting and self-intersection issues
+    for (let i = 1; i < points.length; i++) {
+      path += ` L ${points[i].x} ${points[i].y}`;
+    }
+
+    return path;
+  }
+
+  /**
+   * Create a path of fitted cubic Bézier segments through a sequence of points
+   * @param {Array} points - Array of points along the curve
+   * @param {number} tolerance - Maximum distance between the points and the fitted curve
+   * @returns {string} - SVG path string
+   */
+  createBezierPath(points, tolerance = 0.25) {
+    if (points.length < 2) return "";
+
+    return (
+      `M ${points[0].x} ${points[0].y}` +
+      this.bezierSegmentsToPath(this.fitCubicBezier(points, tolerance))
+    );
+  }
+
+  /**
+   * Convert fitted Bézier segments to SVG "C" commands (without a leading "M")
+   * @param {Array} segments - Array of [p0, p1, p2, p3] control point arrays
+   * @returns {string} - SVG path commands
+   */
+  bezierSegmentsToPath(segments) {
+    let path = "";
+    for (const [, c1, c2, end] of segments) {
+      path += ` C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${end.x} ${end.y}`;
+    }
+    return path;
+  }
+
+  /**
+   * Fit a chain of cubic Bézier segments to a sequence of points, following
+   * Schneider's algorithm (Graphics Gems, 1990): least-squares fit with fixed
+   * end tangents, Newton reparameterization, and splitting at the worst point.
+   * @param {Array} points - Array of points along the curve
+   * @param {number} tolerance - Maximum distance between the points and the fitted curve
+   * @param {boolean} closed - Whether the points form a loop whose last point repeats the first,
+   *   in which case both ends share one tangent so the loop is smooth at the seam (default: false)
+   * @returns {Array} - Array of [p0, p1, p2, p3] control point arrays
+   */
+  fitCubicBezier(points, tolerance = 0.25, closed = false) {
+    // Drop consecutive duplicates, which have no usable tangent
+    const pts = points.filter(
+      (p, i) =>
+        i === 0 ||
+        Math.abs(p.x - points[i - 1].x) > 1e-9 ||
+        Math.abs(p.y - points[i - 1].y) > 1e-9
+    );
+
+    if (pts.length < 2) return [];
+
+    const segments = [];
+    let leftTangent = this.unitVector(pts[0], pts[1]);
+    let rightTangent = this.unitVector(
+      pts[pts.length - 1],
+      pts[pts.length - 2]
+    );
+    if (closed && pts.length > 3) {
+      // Use the central difference across the seam for both ends
+      leftTangent = this.unitVector(pts[pts.length - 2], pts[1]);
+      rightTangent = { x: -leftTangent.x, y: -leftTangent.y };
+    }
+    this.fitCubicBezierRange(
+      pts,
+      0,
+      pts.length - 1,
+      leftTangent,
+      rightTangent,
+      tolerance,
+      segments
+    );
+
+    return segments;
+  }
+
+  /**
+   * Recursively fit Bézier segments to points[first..last]
+   * @param {Array} points - Array of points
+   * @param {number} first - Index of the first point
+   * @param {number} last - Index of the last point
+   * @param {Object} leftTangent - Unit tangent leaving the first point
+   * @param {Object} rightTangent - Unit tangent leaving the last point, pointing backward
+   * @param {number} tolerance - Maximum allowed distance
+   * @param {Array} segments - Output array of segments
+   */
+  fitCubicBezierRange(
+    points,
+    first,
+    last,
+    leftTangent,
+    rightTangent,
+    tolerance,
+    segments
+  ) {
+    const p0 = points[first];
+    const p3 = points[last];
+
+    // Two points: place the handles at a third of the chord
+    if (last - first === 1) {
+      const dist = Math.hypot(p3.x - p0.x, p3.y - p0.y) / 3;
+      segments.push([
+        p0,
+        { x: p0.x + leftTangent.x * dist, y: p0.y + leftTangent.y * dist },
+        { x: p3.x + rightTangent.x * dist, y: p3.y + rightTangent.y * dist },
+        p3,
+      ]);
+      return;
+    }
+
+    let params = this.chordLengthParameterize(points, first, last);
+    let bezier = this.generateBezier(
+      points,
+      first,
+      last,
+      params,
+      leftTangent,
+      rightTangent
+    );
+    let { maxError, splitIndex } = this.computeMaxFitError(
+      points,
+      first,
+      last,
+      bezier,
+      params
+    );
+
+    if (maxError < tolerance) {
+      segments.push(bezier);
+      return;
+    }
+
+    // Close enough that reparameterization may bring it within tolerance
+    if (maxError < tolerance * 4) {
+      for (let iteration = 0; iteration < 20; iteration++) {
+        params = this.reparameterize(points, first, last, params, bezier);
+        bezier = this.generateBezier(
+          points,
+          first,
+          last,
+          params,
+          leftTangent,
+          rightTangent
+        );
+        ({ maxError, splitIndex } = this.computeMaxFitError(
+          points,
+          first,
+          last,
+          bezier,
+          params
+        ));
+        if (maxError < tolerance) {
+          segments.push(bezier);
+          return;
+        }
+      }
+    }
+
+    // Fitting failed, so split at the point of maximum error and fit each half
+    const centerTangent = this.unitVector(
+      points[splitIndex + 1],
+      points[splitIndex - 1]
+    );
+    this.fitCubicBezierRange(
+      points,
+      first,
+      splitIndex,
+      leftTangent,
+      centerTangent,
+      tolerance,
+      segments
+    );
+    this.fitCubicBezierRange(
+      points,
+      splitIndex,
+      last,
+      { x: -centerTangent.x, y: -centerTangent.y },
+      rightTangent,
+      tolerance,
+      segments
+    );
+  }
+
+  /**
+   * Least-squares fit of a single cubic Bézier with fixed end tangents
+   * @param {Array} points - Array of points
+   * @param {number} first - Index of the first point
+   * @param {number} last - Index of the last point
+   * @param {Array} params - Parameter value for each point in [first, last]
+   * @param {Object} leftTangent - Unit tangent at the first point
+   * @param {Object} rightTangent - Unit tangent at the last point
+   * @returns {Array} - Control points [p0, p1, p2, p3]
+   */
+  generateBezier(points, first, last, params, leftTangent, rightTangent) {
+    const p0 = points[first];
+    const p3 = points[last];
+
+    let c00 = 0,
+      c01 = 0,
+      c11 = 0,
+      x0 = 0,
+      x1 = 0;
+
+    for (let i = 0; i < params.length; i++) {
+      const t = params[i];
+      const mt = 1 - t;
+      const b0 = mt * mt * mt;
+      const b1 = 3 * t * mt * mt;
+      const b2 = 3 * t * t * mt;
+      const b3 = t * t * t;
+
+      const a1 = { x: leftTangent.x * b1, y: leftTangent.y * b1 };
+      const a2 = { x: rightTangent.x * b2, y: rightTangent.y * b2 };
+
+      c00 += a1.x * a1.x + a1.y * a1.y;
+      c01 += a1.x * a2.x + a1.y * a2.y;
+      c11 += a2.x * a2.x + a2.y * a2.y;
+
+      const point = points[first + i];
+      const tmpX = point.x - (p0.x * (b0 + b1) + p3.x * (b2 + b3));
+      const tmpY = point.y - (p0.y * (b0 + b1) + p3.y * (b2 + b3));
+
+      x0 += a1.x * tmpX + a1.y * tmpY;
+      x1 += a2.x * tmpX + a2.y * tmpY;
+    }
+
+    const det = c00 * c11 - c01 * c01;
+    let alphaL = Math.abs(det) > 1e-12 ? (x0 * c11 - x1 * c01) / det : 0;
+    let alphaR = Math.abs(det) > 1e-12 ? (c00 * x1 - c01 * x0) / det : 0;
+
+    // Fall back to the Wu/Barsky heuristic when the solution is degenerate
+    const segLength = Math.hypot(p3.x - p0.x, p3.y - p0.y);
+    const epsilon = 1e-6 * segLength;
+    if (alphaL < epsilon || alphaR < epsilon) {
+      alphaL = alphaR = segLength / 3;
+    }
+
+    return [
+      p0,
+      { x: p0.x + leftTangent.x * alphaL, y: p0.y + leftTangent.y * alphaL },
+      { x: p3.x + rightTangent.x * alphaR, y: p3.y + rightTangent.y * alphaR },
+      p3,
+    ];
+  }
+
+  /**
+   * Assign parameter values to points[first..last] by cumulative chord length
+   * @param {Array} points - Array of points
+   * @param {number} first - Index of the first point
+   * @param {number} last - Index of the last point
+   * @returns {Array} - Parameter values in [0, 1]
+   */
+  chordLengthParameterize(points, first, last) {
+    const params = [0];
+    for (let i = first + 1; i <= last; i++) {
+      params.push(
+        params[params.length - 1] +
+          Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y)
+      );
+    }
+    const total = params[params.length - 1];
+    return params.map((value) => (total > 0 ? value / total : 0));
+  }
+
+  /**
+   * Improve parameter values with one Newton-Raphson step each
+   * @param {Array} points - Array of points
+   * @param {number} first - Index of the first point
+   * @param {number} last - Index of the last point
+   * @param {Array} params - Current parameter values
+   * @param {Array} bezier - Current Bézier control points
+   * @returns {Array} - Improved parameter values
+   */
+  reparameterize(points, first, last, params, bezier) {
+    return params.map((t, i) => {
+      const point = points[first + i];
+      const q = this.bezierPoint(bezier, t);
+      const q1 = this.bezierDerivative(bezier, t);
+      const q2 = this.bezierSecondDerivative(bezier, t);
+
+      const dx = q.x - point.x;
+      const dy = q.y - point.y;
+      const numerator = dx * q1.x + dy * q1.y;
+      const denominator =
+        q1.x * q1.x + q1.y * q1.y + dx * q2.x + dy * q2.y;
+
+      if (Math.abs(denominator) < 1e-12) return t;
+      return Math.max(0, Math.min(1, t - numerator / denominator));
+    });
+  }
+
+  /**
+   * Find the largest distance between the points and the fitted Bézier
+   * @param {Array} points - Array of points
+   * @param {number} first - Index of the first point
+   * @param {number} last - Index of the last point
+   * @param {Array} bezier - Bézier control points
+   * @param {Array} params - Parameter value for each point
+   * @returns {Object} - Maximum error and the index of the worst interior point
+   */
+  computeMaxFitError(points, first, last, bezier, params) {
+    let maxError = 0;
+    let splitIndex = Math.floor((first + last) / 2);
+
+    for (let i = first + 1; i < last; i++) {
+      const q = this.bezierPoint(bezier, params[i - first]);
+      const error = Math.hypot(q.x - points[i].x, q.y - points[i].y);
+      if (error >= maxError) {
+        maxError = error;
+        splitIndex = i;
+      }
+    }
+
+    return { maxError, splitIndex };
+  }
+
+  /**
+   * Evaluate a cubic Bézier at parameter t
+   * @param {Array} bezier - Control points [p0, p1, p2, p3]
+   * @param {number} t - Parameter value in [0, 1]
+   * @returns {Object} - Point {x, y}
+   */
+  bezierPoint([p0, p1, p2, p3], t) {
+    const mt = 1 - t;
+    const b0 = mt * mt * mt;
+    const b1 = 3 * t * mt * mt;
+    const b2 = 3 * t * t * mt;
+    const b3 = t * t * t;
+    return {
+      x: b0 * p0.x + b1 * p1.x + b2 * p2.x + b3 * p3.x,
+      y: b0 * p0.y + b1 * p1.y + b2 * p2.y + b3 * p3.y,
+    };
+  }
+
+  /**
+   * Evaluate the first derivative of a cubic Bézier at parameter t
+   * @param {Array} bezier - Control points [p0, p1, p2, p3]
+   * @param {number} t - Parameter value in [0, 1]
+   * @returns {Object} - Derivative vector {x, y}
+   */
+  bezierDerivative([p0, p1, p2, p3], t) {
+    const mt = 1 - t;
+    return {
+      x:
+        3 * mt * mt * (p1.x - p0.x) +
+        6 * mt * t * (p2.x - p1.x) +
+        3 * t * t * (p3.x - p2.x),
+      y:
+        3 * mt * mt * (p1.y - p0.y) +
+        6 * mt * t * (p2.y - p1.y) +
+        3 * t * t * (p3.y - p2.y),
+    };
+  }
+
+  /**
+   * Evaluate the second derivative of a cubic Bézier at parameter t
+   * @param {Array} bezier - Control points [p0, p1, p2, p3]
+   * @param {number} t - Parameter value in [0, 1]
+   * @returns {Object} - Second derivative vector {x, y}
+   */
+  bezierSecondDerivative([p0, p1, p2, p3], t) {
+    return {
+      x: 6 * (1 - t) * (p2.x - 2 * p1.x + p0.x) + 6 * t * (p3.x - 2 * p2.x + p1.x),
+      y: 6 * (1 - t) * (p2.y - 2 * p1.y + p0.y) + 6 * t * (p3.y - 2 * p2.y + p1.y),
+    };
+  }
+
+  /**
+   * Unit vector pointing from one point to another
+   * @param {Object} from - Start point
+   * @param {Object} to - End point
+   * @returns {Object} - Unit vector {x, y}, or {x: 0, y: 0} if the points coincide
+   */
+  unitVector(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    return length > 0 ? { x: dx / length, y: dy / length } : { x: 0, y: 0 };
+  }
+
+  /**
+   * Append a chain of points to an SVG path that already ends at points[0]
+   * @param {Array} points - Array of points, the first of which is the current point
+   * @param {Object} options - Path options (pathType, fitTolerance)
+   * @param {boolean} closed - Whether the last point repeats the first to close a loop (default: false)
+   * @returns {string} - SVG path commands
+   */
+  chainToPath(points, options, closed = false) {
+    if (options.pathType === "bezier") {
+      return this.bezierSegmentsToPath(
+        this.fitCubicBezier(points, options.fitTolerance, closed)
+      );
+    }
+
+    let path = "";
+    for (let i = 1; i < points.length; i++) {
+      path += ` L ${points[i].x} ${points[i].y}`;
+    }
+    return path;
+  }
+
+  /**
+   * Calculate the envelope contact points of the swept disk relative to its center.
+   * For a disk c(u) with radius r(u), the envelope touches the disk at
+   * r * (-(dr/ds) T ± sqrt(1 - (dr/ds)^2) N), where T and N are the unit tangent
+   * and normal and dr/ds is the radius change per unit of arc length.
+   * Where |dr/ds| >= 1 the disk swallows its neighbours and no envelope exists;
+   * the rate is then clamped so both contact points meet at the disk's edge.
+   * @param {Object} derivative - Derivative {x, y, radiusRate} at the sample
+   * @param {number} radius - Radius of the disk at the sample
+   * @param {Object} normal - Unit normal at the sample, used if the derivative vanishes
+   * @param {number} u - Parameter of the sample, for diagnostics (default: null)
+   * @returns {Object} - Upper and lower offset vectors from the disk center
+   */
+  envelopeOffsets(derivative, radius, normal, u = null) {
+    const speed = Math.sqrt(
+      derivative.x * derivative.x + derivative.y * derivative.y
+    );
+
+    if (speed <= 0.0001) {
+      return {
+        upper: { x: normal.x * radius, y: normal.y * radius },
+        lower: { x: -normal.x * radius, y: -normal.y * radius },
+      };
+    }
+
+    const tangent = { x: derivative.x / speed, y: derivative.y / speed };
+    let rate = derivative.radiusRate / speed;
+
+    if (Math.abs(rate) >= 1) {
+      this.reportDiagnostic(
+        "NO_ENVELOPE",
+        "warning",
+        `No disk envelope where |dr/ds| = ${Math.abs(rate)}, clamping`,
+        u
+      );
+      rate = Math.sign(rate);
+    }
+
+    const along = -rate * radius;
+    const across = Math.sqrt(1 - rate * rate) * radius;
+
+    return {
+      upper: {
+        x: tangent.x * along + normal.x * across,
+        y: tangent.y * along + normal.y * across,
+      },
+      lower: {
+        x: tangent.x * along - normal.x * across,
+        y: tangent.y * along - normal.y * across,
+      },
+    };
+  }
+
+  /**
+   * Find the intersection of segments ab and cd
+   * @param {Object} a - Start of the first segment
+   * @param {Object} b - End of the first segment
+   * @param {Object} c - Start of the second segment
+   * @param {Object} d - End of the second segment
+   * @returns {Object|null} - Intersection point {x, y}, or null if the segments do not cross
+   */
+  segmentIntersection(a, b, c, d) {
+    const rx = b.x - a.x;
+    const ry = b.y - a.y;
+    const sx = d.x - c.x;
+    const sy = d.y - c.y;
+    const denominator = rx * sy - ry * sx;
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denominator;
+    const s = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denominator;
+    if (t < 0 || t > 1 || s < 0 || s > 1) return null;
+
+    return { x: a.x + t * rx, y: a.y + t * ry };
+  }
+
+  /**
+   * How far a point lies inside the deepest of a set of disks
+   * @param {Object} point - Point {x, y}
+   * @param {Array} disks - Disks with center (x,y) and radius
+   * @returns {Object} - Depth (negative if outside all disks) and the deepest disk
+   */
+  sweptDiskDepth(point, disks) {
+    let depth = -Infinity;
+    let deepest = null;
+    for (const disk of disks) {
+      const d =
+        disk.radius -
+        Math.hypot(point.x - disk.center.x, point.y - disk.center.y);
+      if (d > depth) {
+        depth = d;
+        deepest = disk;
+      }
+    }
+    return { depth, disk: deepest };
+  }
+
+  /**
+   * Winding number of a closed polygon around a point; positive where the
+   * polygon runs counterclockwise in y-up coordinates
+   * @param {Object} point - Point {x, y}
+   * @param {Array} polygon - Polygon vertices; the last connects back to the first
+   * @returns {number} - Winding number
+   */
+  windingNumber(point, polygon) {
+    let winding = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      if (a.y <= point.y !== b.y <= point.y) {
+        const x = a.x + ((point.y - a.y) / (b.y - a.y)) * (b.x - a.x);
+        if (x > point.x) winding += b.y > a.y ? 1 : -1;
+      }
+    }
+    return winding;
+  }
+
+  /**
+   * Remove self-intersection loops from a boundary chain. A loop is cut out
+   * at its crossing point only when that cannot change what the outline
+   * fills: everything the loop winds around must lie inside the swept disks
+   * and stay enclosed by the rest of the outline once the loop is gone.
+   * This is checked on a grid of points over the loop. Swallowtails at tight
+   * turns pass; loops around uncovered area, or that carry part of the
+   * stroke's body where it crosses itself, are kept.
+   * @param {Array} points - Boundary points in order
+   * @param {Array} disks - Sampled disks of the stroke
+   * @param {Function} windingAt - (point, chain) => winding number of the whole outline
+   *   around point when this boundary is the chain
+   * @returns {Array} - Boundary points without removable loops
+   */
+  removeBoundaryLoops(points, disks, windingAt) {
+    if (points.length < 4) return points;
+
+    const maxRadius = Math.max(...disks.map((disk) => disk.radius));
+    const minDepth = -1e-3 * maxRadius;
+    const grid = 16;
+
+    const canCut = (loop, chain) => {
+      const xs = loop.map((point) => point.x);
+      const ys = loop.map((point) => point.y);
+      const minX = Math.min(...xs);
+      const minY = Math.min(...ys);
+      const width = Math.max(...xs) - minX;
+      const height = Math.max(...ys) - minY;
+
+      for (let i = 0; i < grid; i++) {
+        for (let j = 0; j < grid; j++) {
+          const point = {
+            x: minX + ((i + 0.5) / grid) * width,
+            y: minY + ((j + 0.5) / grid) * height,
+          };
+          const own = this.windingNumber(point, loop);
+          if (own === 0) continue;
+          if (
+            this.sweptDiskDepth(point, disks).depth < minDepth ||
+            windingAt(point, chain) === own
+          ) {
+            return false;
+          }
+        }
+      }
+      return true;
+    };
+
+    const result = [points[0]];
+    let removed = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const point = points[i];
+      const last = result[result.length - 1];
+
+      for (let j = 0; j < result.length - 2; j++) {
+        const crossing = this.segmentIntersection(
+          result[j],
+          result[j + 1],
+          last,
+          point
+        );
+        if (
+          crossing &&
+          canCut(
+            [crossing, ...result.slice(j + 1)],
+            [...result, crossing, ...points.slice(i)]
+          )
+        ) {
+          removed += result.length - j - 1;
+          result.length = j + 1;
+          result.push(crossing);
+          break;
+        }
+      }
+
+      result.push(point);
+    }
+
+    if (removed > 0) {
+      this.logMessage(`Removed ${removed} boundary points in self-intersection loops`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove the loops of both boundaries that removeBoundaryLoops can cut.
+   * Each boundary is judged within the whole outline: a closed shape's two
+   * contours are drawn in opposite directions, and an open stroke's sides are
+   * joined by its end caps, taken here as half circles.
+   * @param {Array} upper - Upper boundary points
+   * @param {Array} lower - Lower boundary points
+   * @param {Array} disks - Sampled disks of the stroke
+   * @param {Array} normals - Unit normals at the disks
+   * @returns {Object} - {upper, lower} without removable loops
+   */
+  cleanBoundaries(upper, lower, disks, normals) {
+    const capArc = (index, side) => {
+      const { center, radius } = disks[index];
+      const normal = normals[index];
+      // Outward along the tangent, backwards at the start
+      const sign = index === 0 ? -1 : 1;
+      const outward = { x: sign * normal.y, y: -sign * normal.x };
+      const arc = [];
+      for (let i = 1; i < 8; i++) {
+        const angle = side * (Math.PI / 2 - (i * Math.PI) / 8);
+        arc.push({
+          x:
+            center.x +
+            radius * (outward.x * Math.cos(angle) + normal.x * Math.sin(angle)),
+          y:
+            center.y +
+            radius * (outward.y * Math.cos(angle) + normal.y * Math.sin(angle)),
+        });
+      }
+      return arc;
+    };
+
+    // side is 1 for the upper boundary and -1 for the lower one
+    const windingWith = (other, side) => {
+      if (this.closed) {
+        return (point, chain) =>
+          this.windingNumber(point, chain) - this.windingNumber(point, other);
+      }
+      const rest = [
+        ...capArc(disks.length - 1, side),
+        ...[...other].reverse(),
+        ...capArc(0, -side),
+      ];
+      return (point, chain) => this.windingNumber(point, [...chain, ...rest]);
+    };
+
+    const cleanUpper = this.removeBoundaryLoops(
+      upper,
+      disks,
+      windingWith(lower, 1)
+    );
+    const cleanLower = this.removeBoundaryLoops(
+      lower,
+      disks,
+      windingWith(cleanUpper, -1)
+    );
+    return { upper: cleanUpper, lower: cleanLower };
+  }
+
+  /**
+   * Normalize the caps option of toSVGPath into a style for each end
+   * @param {string|Object} caps - A cap style for both ends, or {start, end}
+   *   where each end is a style name or {style, length, width}
+   * @returns {Object} - {start, end}, each {style, length, width}
+   */
+  normalizeCaps(caps = "round") {
+    const normalizeEnd = (cap) => {
+      const spec = typeof cap === "string" ? { style: cap } : cap ?? {};
+      const style = spec.style ?? "round";
+      if (
+        !["round", "butt", "square", "pointed", "tapered", "arrow"].includes(
+          style
+        )
+      ) {
+        throw new Error(`Unknown cap style "${style}"`);
+      }
+      return {
+        style,
+        // Distance from the end disk's center to the tip, in radii
+        length: spec.length ?? (style === "pointed" ? 1 : 2),
+        // Half-width of an arrowhead, in radii
+        width: spec.width ?? 2,
+      };
+    };
+
+    if (typeof caps === "string" || caps.style !== undefined) {
+      const cap = normalizeEnd(caps);
+      return { start: cap, end: cap };
+    }
+    return { start: normalizeEnd(caps.start), end: normalizeEnd(caps.end) };
+  }
+
+  /**
+   * Generate the SVG commands for an end cap, from the current point on one
+   * side of the end disk to the matching point on the other side
+   * @param {Object} cap - Cap {style, length, width} from normalizeCaps
+   * @param {Object} disk - End disk with center (x,y) and radius
+   * @param {Object} from - Boundary point the cap starts at (the current point)
+   * @param {Object} to - Boundary point the cap ends at
+   * @param {Object} outward - Unit vector pointing away from the stroke
+   * @returns {string} - SVG path commands
+   */
+  capToPath(cap, disk, from, to, outward) {
+    // A zero-radius end still gets the style's commands, collapsed onto the
+    // center, so frames of a morph that tapers to nothing share one structure
+    const { center } = disk;
+    const radius = Math.max(0, disk.radius);
+
+    const tip = {
+      x: center.x + outward.x * radius * cap.length,
+      y: center.y + outward.y * radius * cap.length,
+    };
+
+    switch (cap.style) {
+      case "butt":
+        return ` L ${to.x} ${to.y}`;
+
+      case "square":
+        return (
+          ` L ${from.x + outward.x * radius} ${from.y + outward.y * radius}` +
+          ` L ${to.x + outward.x * radius} ${to.y + outward.y * radius}` +
+          ` L ${to.x} ${to.y}`
+        );
+
+      case "pointed":
+        return ` L ${tip.x} ${tip.y} L ${to.x} ${to.y}`;
+
+      case "tapered": {
+        // Ogive: leave each side along the outward tangent and curve in to the tip
+        const reach = radius * cap.length * 0.5;
+        const bend = 0.45;
+        return (
+          ` C ${from.x + outward.x * reach} ${from.y + outward.y * reach}` +
+          ` ${tip.x + (from.x - center.x) * bend} ${tip.y + (from.y - center.y) * bend}` +
+          ` ${tip.x} ${tip.y}` +
+          ` C ${tip.x + (to.x - center.x) * bend} ${tip.y + (to.y - center.y) * bend}` +
+          ` ${to.x + outward.x * reach} ${to.y + outward.y * reach}` +
+          ` ${to.x} ${to.y}`
+        );
+      }
+
+      case "arrow": {
+        // Barbs flare out from each side, sized from the end disk's radius
+        const barb = (point) => ({
+          x: center.x + (point.x - center.x) * cap.width,
+          y: center.y + (point.y - center.y) * cap.width,
+        });
+        const fromBarb = barb(from);
+        const toBarb = barb(to);
+        return (
+          ` L ${fromBarb.x} ${fromBarb.y}` +
+          ` L ${tip.x} ${tip.y}` +
+          ` L ${toBarb.x} ${toBarb.y}` +
+          ` L ${to.x} ${to.y}`
+        );
+      }
+
+      default: {
+        // Round: arc around the outward side of the end disk
+        const sweepFlag =
+          outward.x * (from.y - to.y) - outward.y * (from.x - to.x) < 0
+            ? 1
+            : 0;
+
+        // Envelope contact points on the outward side leave more than half the disk for the cap
+        const largeArcFlag =
+          outward.x * (from.x - center.x) + outward.y * (from.y - center.y) <
+          -1e-9
+            ? 1
+            : 0;
+
+        return ` A ${radius} ${radius} 0 ${largeArcFlag} ${sweepFlag} ${to.x} ${to.y}`;
+      }
+    }
+  }
+
+  /**
+   * Signed area of a polygon by the shoelace formula. In SVG's y-down
+   * coordinates a positive area means the points run clockwise on screen.
+   * @param {Array} points - Polygon vertices
+   * @returns {number} - Signed area
+   */
+  signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  /**
+   * Build the outline of a closed shape as an outer and an inner contour.
+   * The outer contour always runs clockwise on screen and the inner contour
+   * counterclockwise, so the ring fills the same way under both fill rules.
+   * @param {Array} upperPoints - Boundary points on the normal side, first and last at the seam
+   * @param {Array} lowerPoints - Boundary points on the other side, first and last at the seam
+   * @param {Object} pathOptions - Path options (pathType, fitTolerance)
+   * @param {string} closedFill - "ring" for both contours or "solid" for the outer contour only
+   * @param {Object} result - Skeleton path, disks, normals and degree to return alongside
+   * @returns {Object} - SVG path data including fill path and the separate contours
+   */
+  closedContoursToPath(upperPoints, lowerPoints, pathOptions, closedFill, result) {
+    // Drop the sample that repeats the first one at the seam
+    const ring = (points) => {
+      const first = points[0];
+      const last = points[points.length - 1];
+      return Math.hypot(last.x - first.x, last.y - first.y) < 1e-9
+        ? points.slice(0, -1)
+        : points;
+    };
+
+    const upper = ring(upperPoints);
+    const lower = ring(lowerPoints);
+    const upperIsOuter =
+      Math.abs(this.signedArea(upper)) >= Math.abs(this.signedArea(lower));
+    let outer = upperIsOuter ? upper : lower;
+    let inner = upperIsOuter ? lower : upper;
+
+    if (this.signedArea(outer) < 0) outer = [...outer].reverse();
+    if (this.signedArea(inner) > 0) inner = [...inner].reverse();
+
+    const contourToPath = (points) =>
+      `M ${points[0].x} ${points[0].y}` +
+      this.chainToPath([...points, points[0]], pathOptions, true) +
+      " Z";
+
+    const outerPath = contourToPath(outer);
+    const innerPath = contourToPath(inner);
+
+    this.logMessage(
+      `Generated closed SVG path with ${outer.length} points per contour (${closedFill})`
+    );
+
+    return {
+      fillPath: closedFill === "solid" ? outerPath : `${outerPath} ${innerPath}`,
+      skeletonPath: result.skeletonPath,
+      outerPath,
+      innerPath,
+      disks: result.disks,
+      normals: result.normals,
+      degree: result.degree,
+    };
+  }
+
+  /**
+   * Convert the B-spline to SVG path elements with adaptive sampling
+   * @param {number} numSamples - Base number of sample points
+   * @param {Object} options - Additional options
+   * @param {string} options.pathType - "polyline" for L segments or "bezier" for fitted C segments (default: "polyline")
+   * @param {number} options.fitTolerance - Maximum deviation of fitted Bézier segments from the samples (default: 0.25)
+   * @param {string} options.boundary - "normal" to offset along the normal or "envelope" for the exact disk envelope (default: "normal")
+   * @param {string} options.sampling - "adaptive" for curvature-based sampling, "tolerance" for tolerance-driven tessellation or "arcLength" for even spacing along the skeleton (default: "tolerance" if options.tolerance is set, else "adaptive")
+   * @param {number} options.tolerance - Maximum chordal error of the centerline and boundaries for "tolerance" sampling (default: 0.25)
+   * @param {number} options.maxDepth - Maximum refinement depth for "tolerance" sampling (default: 10)
+   * @param {number} options.curvatureThreshold - Normalized curvature above which "adaptive" sampling adds samples (default: 0.15)
+   * @param {number} options.maxExtraSamples - Maximum extra samples between two "adaptive" base samples (default: 4)
+   * @param {number} options.minSegmentLength - Segments shorter than this are never refined by "adaptive" sampling (default: 0.5)
+   * @param {string|Object} options.caps - End cap style for both ends ("round", "butt", "square", "pointed",
+   *   "tapered" or "arrow"), or {start, end} with a style or {style, length, width} for each end (default: "round")
+   * @param {string} options.closedFill - For closed shapes, "ring" for outer and inner contours or "solid"
+   *   for the outer contour only (default: "ring")
+   * @param {boolean} options.removeLoops - Cut self-intersection loops wherever that leaves the filled region unchanged (default: false)
+   * @param {string} options.attributeRendering - "slices" to also return one polygon per sample interval,
+   *   or "gradient" to also return a linear gradient, carrying the disk attributes (default: neither)
+   * @param {Array} options.dashes - Dash pattern of alternating dash and gap lengths along the skeleton;
+   *   the fill path then has one outline with its own caps per dash (default: no dashes)
+   * @param {number} options.dashOffset - Distance into the dash pattern at the start, as stroke-dashoffset (default: 0)
+   * @param {number|Object} options.stamps - Also return stamps this far apart, or {spacing, offset},
+   *   see getStamps (default: no stamps)
+   * @returns {Object} - SVG path data including fill path, skeleton path, disks, normals, and
+   *   the degree the curve was drawn with
+   * @throws {RangeError} - If the dash pattern or stamp spacing is invalid
+   */
+  toSVGPath(numSamples = null, options = {}) {
+    // Dashes and stamps are laid out along the plain outline
+    if (options.dashes !== undefined || options.stamps !== undefined) {
+      const { dashes, dashOffset = 0, stamps, ...plainOptions } = options;
+      const intervals =
+        dashes === undefined
+          ? null
+          : this.dashIntervals(dashes, dashOffset, this.getLength());
+      let result = this.toSVGPath(numSamples, plainOptions);
+      if (intervals) {
+        result = this.dashPath(result, intervals, numSamples, plainOptions);
+      }
+      if (stamps !== undefined) {
+        result.stamps =
+          typeof stamps === "number"
+            ? this.getStamps(stamps)
+            : this.getStamps(stamps.spacing, stamps);
+      }
+      return result;
+    }
+
+    const pathOptions = {
+      pathType: options.pathType ?? "polyline",
+      fitTolerance: options.fitTolerance ?? 0.25,
+    };
+    const boundary = options.boundary ?? "normal";
+
+    // A single disk under degree "auto" is drawn as a dot
+    if (this.degree === 0 && this.sourceDisks.length === 1) {
+      const { center, radius } = this.sourceDisks[0];
+      return {
+        fillPath: `M ${center.x + radius} ${center.y} A ${radius} ${radius} 0 1 0 ${
+          center.x - radius
+        } ${center.y} A ${radius} ${radius} 0 1 0 ${center.x + radius} ${
+          center.y
+        } Z`,
+        skeletonPath: `M ${center.x} ${center.y}`,
+        disks: [this.sourceDisks[0]],
+        normals: [],
+        degree: 0,
+      };
+    }
+
+    // Calculate base number of samples if not provided
+    if (numSamples === null) {
+      let totalLength = 0;
+      for (let i = 0; i < this.controlDisks.length - 1; i++) {
+        const dx =
+          this.controlDisks[i + 1].center.x - this.controlDisks[i].center.x;
+        const dy =
+          this.controlDisks[i + 1].center.y - this.controlDisks[i].center.y;
+        totalLength += Math.sqrt(dx * dx + dy * dy);
+      }
+      numSamples = Math.min(100, Math.max(50, Math.round(totalLength)));
+    }
+
+    // Sample the curve adaptively by default, by chordal tolerance, or evenly by arc length
+    const sampling =
+      options.sampling ??
+      (options.tolerance !== undefined ? "tolerance" : "adaptive");
+    let samples;
+    if (sampling === "tolerance") {
+      samples = this.tessellate({
+        tolerance: options.tolerance,
+        boundary,
+        maxDepth: options.maxDepth,
+      });
+    } else if (sampling === "arcLength") {
+      samples = this.sampleCurveArcLength(numSamples);
+    } else {
+      samples = this.sampleCurveAdaptiveWithParameters(
+        numSamples,
+        numSamples * 2,
+        options
+      );
+    }
+    const disks = samples.map((sample) => sample.disk);
+
+    if (disks.length < 2) {
+      this.reportDiagnostic(
+        "TOO_FEW_SAMPLES",
+        "error",
+        `Not enough sample points to create a path`
+      );
+      return {
+        fillPath: "",
+        skeletonPath: "",
+        disks: [],
+        normals: [],
+        degree: this.degree,
+      };
+    }
+
+    // Calculate the centerline and normals using exact derivatives
+    const centerPoints = disks.map((disk) => disk.center);
+    const skeletonPath =
+      pathOptions.pathType === "bezier"
+        ? this.createBezierPath(centerPoints, pathOptions.fitTolerance)
+        : this.createSmoothPath(centerPoints);
+    const normals = [];
+    const derivatives = [];
+
+    // Calculate normals using derivatives at each sample's own parameter value
+    for (let i = 0; i < samples.length; i++) {
+      const derivative = this.evaluateDerivativeAt(samples[i].u);
+      derivatives.push(derivative);
+      const normal = this.normalFromDerivative(derivative);
+
+      if (normal) {
+        normals.push(normal);
+      } else {
+        // Fall back to previous normal or default if no previous
+        const prevNormal = i > 0 ? normals[i - 1] : { x: 1, y: 0 };
+        normals.push(prevNormal);
+        this.reportDiagnostic(
+          "ZERO_DERIVATIVE",
+          "warning",
+          `Zero-length derivative at point ${i}, using fallback normal`,
+          samples[i].u
+        );
+      }
+    }
+
+    // Generate the outline points using the normals
+    let upperPoints = [];
+    let lowerPoints = [];
+
+    for (let i = 0; i < disks.length; i++) {
+      const { upper, lower } = this.boundaryPoints(
+        disks[i],
+        normals[i],
+        derivatives[i],
+        boundary,
+        samples[i].u
+      );
+      upperPoints.push(upper);
+      lowerPoints.push(lower);
+    }
+
+    // Attribute slices follow the samples, so keep the boundaries before loop removal
+    const sliceGeometry = { upper: upperPoints, lower: lowerPoints, disks };
+
+    if (options.removeLoops) {
+      // Cut the loops of folded boundaries
+      ({ upper: upperPoints, lower: lowerPoints } = this.cleanBoundaries(
+        upperPoints,
+        lowerPoints,
+        disks,
+        normals
+      ));
+    }
+
+    if (this.closed) {
+      return this.addAttributeRendering(
+        this.closedContoursToPath(
+          upperPoints,
+          lowerPoints,
+          pathOptions,
+          options.closedFill ?? "ring",
+          { skeletonPath, disks, normals, degree: this.degree }
+        ),
+        options.attributeRendering,
+        sliceGeometry
+      );
+    }
+
+    // Get first and last disks for end caps
+    const firstDisk = disks[0];
+    const lastDisk = disks[disks.length - 1];
+    const firstNormal = normals[0];
+    const lastNormal = normals[normals.length - 1];
+
+    // Calculate tangent vectors (perpendicular to normals)
+    const firstTangent = { x: firstNormal.y, y: -firstNormal.x };
+    const lastTangent = { x: lastNormal.y, y: -lastNormal.x };
+
+    // Generate the variable-width path with end caps
+    const caps = this.normalizeCaps(options.caps);
+    let pathData = `M ${upperPoints[0].x} ${upperPoints[0].y}`;
+
+    // Start cap, from the upper to the lower side of the first disk
+    pathData += this.capToPath(
+      caps.start,
+      firstDisk,
+      upperPoints[0],
+      lowerPoints[0],
+      { x: -firstTangent.x, y: -firstTangent.y }
+    );
+
+    // Draw the lower edge from start to end
+    pathData += this.chainToPath(lowerPoints, pathOptions);
+
+    // End cap, from the lower to the upper side of the last disk
+    pathData += this.capToPath(
+      caps.end,
+      lastDisk,
+      lowerPoints[lowerPoints.length - 1],
+      upperPoints[upperPoints.length - 1],
+      lastTangent
+    );
+
+    // Draw the upper edge from end to start
+    pathData += this.chainToPath([...upperPoints].reverse(), pathOptions);
+
+    // Close the path
+    pathData += " Z";
+
+    this.logMessage(
+      `Generated SVG path with ${disks.length} points using normals and ${caps.start.style}/${caps.end.style} end caps`
+    );
+
+    return this.addAttributeRendering(
+      {
+        fillPath: pathData,
+        skeletonPath: skeletonPath,
+        disks,
+        normals,
+        degree: this.degree,
+      },
+      options.attributeRendering,
+      {
+        ...sliceGeometry,
+        caps,
+        startOutward: { x: -firstTangent.x, y: -firstTangent.y },
+        endOutward: lastTangent,
+      }
+    );
+  }
+
+  /**
+   * Lay a dash pattern along the skeleton, as stroke-dasharray does. A
+   * pattern with an odd number of lengths is repeated to make it even. On
+   * a closed shape the dashes run around the seam instead of being cut there.
+   * @param {Array} pattern - Alternating dash and gap lengths
+   * @param {number} offset - Distance into the pattern at the start
+   * @param {number} length - Arc length of the skeleton
+   * @returns {Array} - Dashes {start, end} in arc length; on a closed shape
+   *   start may be negative and end may exceed length
+   * @throws {RangeError} - If the pattern is empty, has a negative or non-finite length, or sums to zero
+   */
+  dashIntervals(pattern, offset, length) {
+    if (
+      !Array.isArray(pattern) ||
+      pattern.length === 0 ||
+      pattern.some((value) => !Number.isFinite(value) || value < 0)
+    ) {
+      throw new RangeError(
+        `Dash pattern must be a non-empty array of non-negative lengths`
+      );
+    }
+    if (!Number.isFinite(offset)) {
+      throw new RangeError(
+        `Dash offset must be a finite number, got ${offset}`
+      );
+    }
+    if (pattern.length % 2 === 1) pattern = [...pattern, ...pattern];
+    const total = pattern.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) {
+      throw new RangeError(`Dash pattern must have a positive total length`);
+    }
+
+    // Start at the beginning of the pattern period that contains the curve start
+    let s = -(((offset % total) + total) % total);
+    const intervals = [];
+    let limit = length;
+    for (let i = 0; s < limit; i = (i + 1) % pattern.length) {
+      const next = s + pattern[i];
+      if (i % 2 === 0 && next > 0 && pattern[i] > 0) {
+        if (this.closed) {
+          // The first dash fixes where the loop of dashes closes
+          if (intervals.length === 0) limit = s + length;
+          intervals.push({ start: s, end: Math.min(next, limit) });
+        } else {
+          intervals.push({
+            start: Math.max(s, 0),
+            end: Math.min(next, length),
+          });
+        }
+      }
+      s = next;
+    }
+
+    return intervals.filter(({ start, end }) => end - start > 1e-9);
+  }
+
+  /**
+   * Replace the fill path by one outline per dash
+   * @param {Object} result - Path data of the whole curve from toSVGPath
+   * @param {Array} intervals - Dashes from dashIntervals
+   * @param {number} numSamples - Base number of samples for the whole curve, or null
+   * @param {Object} options - toSVGPath options for each dash
+   * @returns {Object} - The path data with the dashed fill path and the
+   *   path data of each dash in dashes, with its start and end arc length
+   */
+  dashPath(result, intervals, numSamples, options) {
+    const length = this.getLength();
+    if (result.fillPath === "" || this.degree === 0 || length === 0) {
+      return { ...result, dashes: [] };
+    }
+
+    const dashes = intervals.map(({ start, end }) => {
+      const wrap = (s) => (this.closed ? ((s % length) + length) % length : s);
+      const part = this.subcurve(
+        this.uAtLength(wrap(start)),
+        this.uAtLength(wrap(end))
+      );
+      // Keep the sample density of the whole curve
+      const samples =
+        numSamples === null
+          ? null
+          : Math.max(2, Math.ceil((numSamples * (end - start)) / length));
+      return { start, end, ...part.toSVGPath(samples, options) };
+    });
+
+    const { outerPath, innerPath, ...dashed } = result;
+    dashed.fillPath = dashes.map((dash) => dash.fillPath).join(" ");
+    dashed.dashes = dashes;
+    if (options.attributeRendering === "slices") {
+      dashed.slices = dashes.flatMap((dash) => dash.slices);
+    }
+
+    this.logMessage(`Generated ${dashes.length} dashes`);
+
+    return dashed;
+  }
+
+  /**
+   * Place stamps at even distances along the skeleton, for brushes that
+   * draw a texture at each position instead of filling the outline
+   * @param {number} spacing - Arc length between stamps
+   * @param {Object} options - Options object
+   * @param {number} options.offset - Arc length of the first stamp (default: 0)
+   * @returns {Array} - Stamps {u, distance, center, radius, attributes, tangent, angle},
+   *   with the unit tangent and its angle in radians
+   * @throws {RangeError} - If the spacing is not positive or the offset is negative
+   */
+  getStamps(spacing, options = {}) {
+    const offset = options.offset ?? 0;
+    if (!(Number.isFinite(spacing) && spacing > 0)) {
+      throw new RangeError(
+        `Stamp spacing must be a positive number, got ${spacing}`
+      );
+    }
+    if (!(Number.isFinite(offset) && offset >= 0)) {
+      throw new RangeError(
+        `Stamp offset must be a non-negative number, got ${offset}`
+      );
+    }
+
+    // A single disk under degree "auto" is one stamp
+    if (this.degree === 0 && this.sourceDisks.length === 1) {
+      return offset > 0
+        ? []
+        : [
+            {
+              u: 0,
+              distance: 0,
+              ...this.sourceDisks[0],
+              tangent: { x: 1, y: 0 },
+              angle: 0,
+            },
+          ];
+    }
+
+    const length = this.getLength();
+    const stamps = [];
+    const count = this.closed
+      ? Math.ceil((length - offset) / spacing - 1e-9)
+      : Math.floor((length - offset) / spacing + 1e-9) + 1;
+    for (let i = 0; i < count; i++) {
+      const distance = offset + i * spacing;
+      const u = this.uAtLength(distance);
+      const { tangent } = this.frameAt(u);
+      stamps.push({
+        u,
+        distance,
+        ...this.evaluateAt(u),
+        tangent,
+        angle: Math.atan2(tangent.y, tangent.x),
+      });
+    }
+
+    this.logMessage(`Placed ${stamps.length} stamps ${spacing} apart`);
+
+    return stamps;
+  }
+
+  /**
+   * Add slices or a gradient for the disk attributes to the path data
+   * @param {Object} result - Path data from toSVGPath
+   * @param {string} mode - "slices", "gradient", or undefined for neither
+   * @param {Object} geometry - Boundary points before loop removal {upper, lower, disks},
+   *   plus {caps, startOutward, endOutward} for open shapes
+   * @returns {Object} - The path data, with slices or gradient added
+   * @throws {Error} - If the mode is unknown
+   */
+  addAttributeRendering(result, mode, geometry) {
+    if (mode === undefined) return result;
+
+    if (mode === "slices") {
+      result.slices = this.attributeSlices(geometry);
+    } else if (mode === "gradient") {
+      result.gradient = this.attributeGradient(geometry.disks);
+    } else {
+      throw new Error(`Unknown attributeRendering "${mode}"`);
+    }
+    return result;
+  }
+
+  /**
+   * Cut the outline into one polygon per pair of neighbouring samples, plus
+   * the end caps of an open shape, each with the attributes there
+   * @param {Object} geometry - See addAttributeRendering
+   * @returns {Array} - Slices {path, attributes} in order along the stroke
+   */
+  attributeSlices({ upper, lower, disks, caps, startOutward, endOutward }) {
+    const average = (a = {}, b = {}) => {
+      const attributes = { ...a, ...b };
+      for (const name of Object.keys(attributes)) {
+        if (name in a && name in b) {
+          attributes[name] = (a[name] + b[name]) / 2;
+        }
+      }
+      return attributes;
+    };
+    const last = disks.length - 1;
+    const slices = [];
+
+    if (caps) {
+      slices.push({
+        path: `M ${upper[0].x} ${upper[0].y}${this.capToPath(
+          caps.start,
+          disks[0],
+          upper[0],
+          lower[0],
+          startOutward
+        )} Z`,
+        attributes: { ...disks[0].attributes },
+      });
+    }
+
+    for (let i = 0; i < last; i++) {
+      slices.push({
+        path:
+          `M ${upper[i].x} ${upper[i].y} L ${upper[i + 1].x} ${upper[i + 1].y}` +
+          ` L ${lower[i + 1].x} ${lower[i + 1].y} L ${lower[i].x} ${lower[i].y} Z`,
+        attributes: average(disks[i].attributes, disks[i + 1].attributes),
+      });
+    }
+
+    if (caps) {
+      slices.push({
+        path: `M ${lower[last].x} ${lower[last].y}${this.capToPath(
+          caps.end,
+          disks[last],
+          lower[last],
+          upper[last],
+          endOutward
+        )} Z`,
+        attributes: { ...disks[last].attributes },
+      });
+    }
+
+    return slices;
+  }
+
+  /**
+   * Approximate the attributes along the stroke by a linear gradient. The
+   * gradient runs from the first to the last sample, or to the sample
+   * farthest from the first on a closed shape, and each sample becomes a
+   * stop at its projection onto that line, kept in increasing order.
+   * @param {Array} disks - Samples along the curve
+   * @returns {Object} - {x1, y1, x2, y2, stops}, each stop {offset, attributes}
+   */
+  attributeGradient(disks) {
+    const first = disks[0].center;
+    let last = disks[disks.length - 1].center;
+    if (this.closed) {
+      const distance = (point) =>
+        Math.hypot(point.x - first.x, point.y - first.y);
+      for (const { center } of disks) {
+        if (distance(center) > distance(last)) last = center;
+      }
+    }
+
+    const dx = last.x - first.x;
+    const dy = last.y - first.y;
+    const lengthSquared = dx * dx + dy * dy;
+    let offset = 0;
+    const stops = disks.map(({ center, attributes }) => {
+      if (lengthSquared > 0) {
+        const projection =
+          ((center.x - first.x) * dx + (center.y - first.y) * dy) /
+          lengthSquared;
+        offset = Math.max(offset, Math.min(1, projection));
+      }
+      return { offset, attributes: { ...attributes } };
+    });
+
+    return { x1: first.x, y1: first.y, x2: last.x, y2: last.y, stops };
+  }
+
+  /**
+   * Render the slices or gradient from toSVGPath as SVG elements
+   * @param {Object} pathData - Result of toSVGPath with attributeRendering set
+   * @param {Object} options - Options object
+   * @param {Function} options.colorOf - Maps attributes to a CSS color (default: rgb()
+   *   from red, green and blue attributes from 0 to 255, or black)
+   * @param {Function} options.opacityOf - Maps attributes to an opacity (default: the
+   *   opacity attribute, or 1)
+   * @param {string} options.id - Id of the gradient element (default: "dbsc-gradient")
+   * @returns {string} - SVG elements
+   */
+  attributesToSVG(pathData, options = {}) {
+    const channel = (value) =>
+      Math.round(Math.max(0, Math.min(255, value ?? 0)));
+    const colorOf =
+      options.colorOf ??
+      ((attributes) =>
+        attributes.red !== undefined ||
+        attributes.green !== undefined ||
+        attributes.blue !== undefined
+          ? `rgb(${channel(attributes.red)}, ${channel(
+              attributes.green
+            )}, ${channel(attributes.blue)})`
+          : "black");
+    const opacityOf =
+      options.opacityOf ?? ((attributes) => attributes.opacity ?? 1);
+
+    if (pathData.slices) {
+      return pathData.slices
+        .map(
+          ({ path, attributes }) =>
+            `<path d="${path}" fill="${colorOf(
+              attributes
+            )}" fill-opacity="${opacityOf(attributes)}" />`
+        )
+        .join("");
+    }
+
+    if (pathData.gradient) {
+      const id = options.id ?? "dbsc-gradient";
+      const { x1, y1, x2, y2, stops } = pathData.gradient;
+      const stopElements = stops
+        .map(
+          ({ offset, attributes }) =>
+            `<stop offset="${offset}" stop-color="${colorOf(
+              attributes
+            )}" stop-opacity="${opacityOf(attributes)}" />`
+        )
+        .join("");
+      return (
+        `<defs><linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">` +
+        `${stopElements}</linearGradient></defs>` +
+        `<path d="${pathData.fillPath}" fill="url(#${id})" />`
+      );
+    }
+
+    return `<path d="${pathData.fillPath}" />`;
+  }
+
+  /**
+   * Generate circles for visualizing the control disks
+   * @param {Object} options - Visual options for control disks
+   * @returns {string} - SVG elements for control disks
+   */
+  controlDisksToSVG(options = {}) {
+    const opts = { ...DiskBSpline.CONTROL_DISK_STYLE, ...options };
+    const controlDisks = this.getControlDisks();
+    let circles = "";
+
+    // First draw the centerline to better visualize the path
+    if (controlDisks.length >= 2) {
+      let centerline = `<path d="M`;
+
+      controlDisks.forEach((disk, index) => {
+        if (index === 0) {
+          centerline += ` ${disk.center.x} ${disk.center.y}`;
+        } else {
+          centerline += ` L ${disk.center.x} ${disk.center.y}`;
+        }
+      });
+
+      if (this.closed) {
+        centerline += " Z";
+      }
+
+      centerline += `" stroke="${opts.lineColor}" stroke-width="${opts.lineWidth}" stroke-dasharray="2,2" fill="none" />`;
+      circles += centerline;
+    }
+
+    // Then draw the control disks
+    controlDisks.forEach((disk, index) => {
+      // Disk outline
+      circles += `<circle cx="${disk.center.x}" cy="${disk.center.y}" r="${disk.radius}" fill="none" stroke="${opts.lineColor}" stroke-dasharray="1,1" stroke-width="1" stroke-linecap="rounded" />`;
+      // Center point with data attributes
+      circles += `<circle cx="${disk.center.x}" cy="${disk.center.y}" r="${opts.dotSize}" fill="${opts.centerColor}" data-index="${index}" data-type="center" />`;
+      // Radius handle at 0 degrees with data attributes
+      circles += `<circle cx="${disk.center.x + disk.radius}" cy="${
+        disk.center.y
+      }" r="${
+        opts.dotSize / 2
+      }" fill="blue" data-index="${index}" data-type="radius" />`;
+      // Radius label
+      circles += `<text x="${disk.center.x + 5}" y="${
+        disk.center.y - 5
+      }" font-size="10" fill="${opts.textColor}">${Math.round(
+        disk.radius
+      )}</text>`;
+    });
+
+    return circles;
+  }
 
-        const u1 = uniformSamples[i].u;
-        const u2 = uniformSamples[i + 1].u;
+  /**
+   * Trace SVG path data from this class onto a canvas-like target, which
+   * needs moveTo, lineTo, bezierCurveTo, arc and closePath as on
+   * CanvasRenderingContext2D and Path2D. Only the absolute M, L, C, A and Z
+   * commands that the path methods emit are understood, and arcs must be
+   * circular.
+   * @param {string} pathData - SVG path data, such as fillPath from toSVGPath
+   * @param {Object} target - Canvas context, Path2D, or any object with the same methods
+   * @returns {Object} - The target
+   * @throws {Error} - If the path data has another command or a malformed number
+   */
+  renderPath(pathData, target) {
+    const tokens = pathData.match(/[A-Za-z]|[^A-Za-z\s,]+/g) ?? [];
+    let current = { x: 0, y: 0 };
+    let start = current;
+    let i = 0;
 
-        for (let j = 1; j <= numExtraSamples; j++) {
-          const u = u1 + (j / (numExtraSamples + 1)) * (u2 - u1);
-          adaptiveSamples.push({ u, disk: this.evaluateAt(u) });
+    const numbers = (count) => {
+      const values = tokens.slice(i, i + count).map(Number);
+      if (
+        values.length < count ||
+        values.some((value) => !Number.isFinite(value))
+      ) {
+        const near = tokens.slice(i - 1, i + count).join(" ");
+        throw new Error(`Malformed path data near "${near}"`);
+      }
+      i += count;
+      return values;
+    };
+
+    while (i < tokens.length) {
+      const command = tokens[i++];
+      switch (command) {
+        case "M": {
+          const [x, y] = numbers(2);
+          target.moveTo(x, y);
+          current = start = { x, y };
+          break;
         }
+        case "L": {
+          const [x, y] = numbers(2);
+          target.lineTo(x, y);
+          current = { x, y };
+          break;
+        }
+        case "C": {
+          const [x1, y1, x2, y2, x, y] = numbers(6);
+          target.bezierCurveTo(x1, y1, x2, y2, x, y);
+          current = { x, y };
+          break;
+        }
+        case "A": {
+          const [rx, ry, , largeArc, sweep, x, y] = numbers(7);
+          if (Math.abs(rx - ry) > 1e-9 * Math.max(rx, ry)) {
+            throw new Error(`Elliptical arcs are not supported: ${rx} ${ry}`);
+          }
+          this.renderArc(target, current, { x, y }, rx, largeArc, sweep);
+          current = { x, y };
+          break;
+        }
+        case "Z":
+        case "z":
+          target.closePath();
+          current = start;
+          break;
+        default:
+          throw new Error(`Unsupported path command "${command}"`);
       }
     }
-    adaptiveSamples.push(uniformSamples[uniformSamples.length - 1]);
 
-    this.logMessage(
-      `Adaptive sampling generated ${adaptiveSamples.length} points from base ${effectiveBaseSamples}`
+    return target;
+  }
+
+  /**
+   * Draw an SVG circular arc with canvas arc(), converting the endpoints
+   * and flags to a center and angles (SVG 1.1, appendix F.6.5)
+   * @param {Object} target - Canvas-like target
+   * @param {Object} from - Current point
+   * @param {Object} to - End point of the arc
+   * @param {number} radius - Arc radius
+   * @param {number} largeArc - SVG large-arc flag
+   * @param {number} sweep - SVG sweep flag; 1 runs clockwise on screen
+   */
+  renderArc(target, from, to, radius, largeArc, sweep) {
+    const halfX = (from.x - to.x) / 2;
+    const halfY = (from.y - to.y) / 2;
+    const halfChordSquared = halfX * halfX + halfY * halfY;
+
+    // Coincident endpoints draw nothing; a zero radius draws a line
+    if (halfChordSquared === 0) return;
+    if (radius === 0) {
+      target.lineTo(to.x, to.y);
+      return;
+    }
+
+    // A radius too small to reach is scaled up, as SVG does
+    radius = Math.max(radius, Math.sqrt(halfChordSquared));
+    const sign = largeArc !== sweep ? 1 : -1;
+    const scale =
+      sign * Math.sqrt(Math.max(0, (radius * radius) / halfChordSquared - 1));
+    const center = {
+      x: scale * halfY + (from.x + to.x) / 2,
+      y: -scale * halfX + (from.y + to.y) / 2,
+    };
+
+    const startAngle = Math.atan2(from.y - center.y, from.x - center.x);
+    let sweepAngle = Math.atan2(to.y - center.y, to.x - center.x) - startAngle;
+    if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+    if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+
+    target.arc(
+      center.x,
+      center.y,
+      radius,
+      startAngle,
+      startAngle + sweepAngle,
+      !sweep
     );
+  }
+
+  /**
+   * Fill the outline of the curve on a canvas with the context's current
+   * fill style. The outline is the one toSVGPath computes, so closed rings
+   * fill correctly under the default nonzero rule.
+   * @param {Object} ctx - CanvasRenderingContext2D, or an object with the same methods
+   * @param {number} numSamples - Base number of sample points, see toSVGPath
+   * @param {Object} options - toSVGPath options
+   * @returns {Object} - The path data from toSVGPath
+   */
+  drawPath(ctx, numSamples = null, options = {}) {
+    const result = this.toSVGPath(numSamples, options);
+    ctx.beginPath();
+    this.renderPath(result.fillPath, ctx);
+    ctx.fill();
+    return result;
+  }
 
-    return adaptiveSamples.map((sample) => sample.disk);
+  /**
+   * Build a Path2D of the outline, for filling, stroking or hit testing
+   * with isPointInPath
+   * @param {number} numSamples - Base number of sample points, see toSVGPath
+   * @param {Object} options - toSVGPath options
+   * @param {Function} options.Path2D - Path2D constructor to use (default: the global Path2D)
+   * @returns {Object} - Path2D of the fill path
+   * @throws {Error} - If there is no Path2D constructor
+   */
+  toPath2D(numSamples = null, options = {}) {
+    const Path2DClass = options.Path2D ?? globalThis.Path2D;
+    if (typeof Path2DClass !== "function") {
+      throw new Error(`Path2D is not available; pass options.Path2D`);
+    }
+    const { fillPath } = this.toSVGPath(numSamples, options);
+    return this.renderPath(fillPath, new Path2DClass());
   }
 
   /**
-   * Create a path from the sequence of disks
-   * @param {Array} points - Array of points along the curve
-   * @returns {string} - SVG path string
+   * Draw the control disks on a canvas, as controlDisksToSVG does in SVG.
+   * The context's state is restored afterwards.
+   * @param {Object} ctx - CanvasRenderingContext2D, or an object with the same methods
+   * @param {Object} options - Visual options for control disks, see controlDisksToSVG
    */
-  createSmoothPath(points) {
-    if (points.length < 2) return "";
+  drawControlDisks(ctx, options = {}) {
+    const opts = { ...DiskBSpline.CONTROL_DISK_STYLE, ...options };
+    const controlDisks = this.getControlDisks();
+    ctx.save();
 
-    // For just 2 points, use a simple line
-    if (points.length === 2) {
-      return `M ${points[0].x} ${points[0].y} L ${points[1].x} ${points[1].y}`;
+    // First draw the centerline to better visualize the path
+    if (controlDisks.length >= 2) {
+      ctx.beginPath();
+      controlDisks.forEach((disk, index) => {
+        if (index === 0) {
+          ctx.moveTo(disk.center.x, disk.center.y);
+        } else {
+          ctx.lineTo(disk.center.x, disk.center.y);
+        }
+      });
+      if (this.closed) {
+        ctx.closePath();
+      }
+      ctx.strokeStyle = opts.lineColor;
+      ctx.lineWidth = opts.lineWidth;
+      ctx.setLineDash([2, 2]);
+      ctx.stroke();
     }
 
-    // For more points, we'll create a smooth path
-    let path = `M ${points[0].x} ${points[0].y}`;
+    // Then draw the control disks
+    ctx.font = "10px sans-serif";
+    for (const disk of controlDisks) {
+      const { x, y } = disk.center;
 
-    // For simplicity, we'll use a Catmull-Rom spline approximation with straight lines
-    // This avoids overshooting and self-intersection issues
-    for (let i = 1; i < points.length; i++) {
-      path += ` L ${points[i].x} ${points[i].y}`;
+      // Disk outline
+      ctx.beginPath();
+      ctx.arc(x, y, disk.radius, 0, 2 * Math.PI);
+      ctx.strokeStyle = opts.lineColor;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([1, 1]);
+      ctx.stroke();
+
+      // Center point
+      ctx.beginPath();
+      ctx.arc(x, y, opts.dotSize, 0, 2 * Math.PI);
+      ctx.fillStyle = opts.centerColor;
+      ctx.fill();
+
+      // Radius handle at 0 degrees
+      ctx.beginPath();
+      ctx.arc(x + disk.radius, y, opts.dotSize / 2, 0, 2 * Math.PI);
+      ctx.fillStyle = "blue";
+      ctx.fill();
+
+      // Radius label
+      ctx.fillStyle = opts.textColor;
+      ctx.fillText(String(Math.round(disk.radius)), x + 5, y - 5);
     }
 
-    return path;
+    ctx.restore();
   }
 
   /**
-   * Convert the B-spline to SVG path elements with adaptive sampling
-   * @param {number} numSamples - Base number of sample points
-   * @param {Object} options - Additional options
-   * @returns {Object} - SVG path data including fill path, skeleton path, disks, and normals
+   * Convert the stroke to pen paths for a plotter or engraver, which cannot
+   * fill an outline. The outline is drawn with hatch or concentric fill
+   * inside it, or in single-line mode the skeleton is traced with more
+   * passes side by side where the stroke is wider. Lengths in the options
+   * are in output units; a user unit of the curve is scale output units,
+   * and y points up on the machine.
+   * @param {Object} options - Options object, also passed to toSVGPath
+   * @param {number} options.scale - Output units per user unit (default: 1)
+   * @param {Object} options.origin - User-space point placed at the machine origin (default: {x: 0, y: 0})
+   * @param {boolean} options.flipY - Flip y for machines whose y axis points up (default: true)
+   * @param {number} options.penWidth - Width of the line the pen draws (default: 0.5)
+   * @param {string} options.fill - "hatch", "concentric" or "none" (default: "hatch")
+   * @param {number} options.spacing - Distance between fill lines (default: penWidth)
+   * @param {number} options.angle - Angle of the hatch lines in degrees (default: 45)
+   * @param {boolean} options.singleLine - Trace the skeleton instead of the outline (default: false)
+   * @param {number} options.flatness - Maximum deviation of flattened arcs and curves (default: 0.05)
+   * @param {boolean} options.optimizeTravel - Reorder and reverse paths to shorten pen-up moves (default: true)
+   * @returns {Array} - Paths {points, closed} in output units, in drawing order; a
+   *   closed path returns to its first point
+   * @throws {RangeError} - If a length option is not positive or the fill is unknown
    */
-  toSVGPath(numSamples = null, options = {}) {
-    // Calculate base number of samples if not provided
-    if (numSamples === null) {
-      let totalLength = 0;
-      for (let i = 0; i < this.controlDisks.length - 1; i++) {
-        const dx =
-          this.controlDisks[i + 1].center.x - this.controlDisks[i].center.x;
-        const dy =
-          this.controlDisks[i + 1].center.y - this.controlDisks[i].center.y;
-        totalLength += Math.sqrt(dx * dx + dy * dy);
+  toPlotterPaths(options = {}) {
+    const scale = options.scale ?? 1;
+    const penWidth = options.penWidth ?? 0.5;
+    const spacing = options.spacing ?? penWidth;
+    const flatness = options.flatness ?? 0.05;
+    const fill = options.fill ?? "hatch";
+    for (const [name, value] of Object.entries({
+      scale,
+      penWidth,
+      spacing,
+      flatness,
+    })) {
+      if (!(Number.isFinite(value) && value > 0)) {
+        throw new RangeError(
+          `${name} must be a positive number, got ${value}`
+        );
       }
-      numSamples = Math.min(100, Math.max(50, Math.round(totalLength)));
+    }
+    if (!["hatch", "concentric", "none"].includes(fill)) {
+      throw new RangeError(`Unknown fill "${fill}"`);
     }
 
-    // Use adaptive sampling instead of uniform sampling
-    const disks = this.sampleCurveAdaptive(numSamples, numSamples * 2);
+    // Work in user units and convert at the end
+    const result = this.toSVGPath(null, options);
+    const parts = result.dashes ?? [result];
+    let paths;
+    if (options.singleLine) {
+      paths = parts.flatMap((part) =>
+        this.skeletonPasses(part.disks, part.normals, penWidth / scale)
+      );
+    } else {
+      const outline = this.flattenPath(result.fillPath, flatness / scale);
+      paths = outline.map((points) => ({ points, closed: true }));
+      if (fill === "hatch") {
+        const angle = ((options.angle ?? 45) * Math.PI) / 180;
+        paths.push(...this.hatchLines(outline, spacing / scale, angle));
+      } else if (fill === "concentric") {
+        for (const part of parts) {
+          paths.push(
+            ...this.concentricLoops(part.disks, part.normals, spacing / scale)
+          );
+        }
+      }
+    }
 
-    if (disks.length < 2) {
-      this.logMessage(`ERROR: Not enough sample points to create a path`);
-      return {
-        fillPath: "",
-        skeletonPath: "",
-        disks: [],
-        normals: [],
-      };
+    const origin = options.origin ?? { x: 0, y: 0 };
+    const flip = options.flipY ?? true ? -1 : 1;
+    paths = paths.map(({ points, closed }) => ({
+      points: points.map((point) => ({
+        x: (point.x - origin.x) * scale,
+        y: flip * (point.y - origin.y) * scale,
+      })),
+      closed,
+    }));
+    if (options.optimizeTravel ?? true) {
+      paths = this.orderPaths(paths);
     }
 
-    // Calculate the centerline and normals using exact derivatives
-    const centerPoints = disks.map((disk) => disk.center);
-    const skeletonPath = this.createSmoothPath(centerPoints);
-    const normals = [];
+    // Close each loop explicitly, since plotters only draw the given points
+    return paths.map(({ points, closed }) => ({
+      points: closed ? [...points, points[0]] : points,
+      closed,
+    }));
+  }
 
-    // Calculate valid parameter range
-    const n = this.controlDisks.length - 1;
-    const startU = this.knots[this.degree];
-    const endU = this.knots[n + 1];
-    const parameterStep = (endU - startU) / (disks.length - 1);
+  /**
+   * Flatten SVG path data into polygons, one per subpath
+   * @param {string} pathData - SVG path data, see renderPath
+   * @param {number} flatness - Maximum deviation of the polygon from arcs and curves
+   * @returns {Array} - Polygons, each an array of points without a repeated first point
+   */
+  flattenPath(pathData, flatness) {
+    const polygons = [];
+    let polygon = null;
+    const add = (x, y) => {
+      const last = polygon[polygon.length - 1];
+      if (!last || Math.hypot(x - last.x, y - last.y) > 1e-9) {
+        polygon.push({ x, y });
+      }
+    };
+    const finish = () => {
+      if (polygon && polygon.length > 1) {
+        const first = polygon[0];
+        const last = polygon[polygon.length - 1];
+        if (Math.hypot(last.x - first.x, last.y - first.y) <= 1e-9) {
+          polygon.pop();
+        }
+        if (polygon.length > 2) polygons.push(polygon);
+      }
+      polygon = null;
+    };
 
-    // Calculate normals using derivatives
-    for (let i = 0; i < disks.length; i++) {
-      const u = startU + i * parameterStep;
-      const derivative = this.evaluateDerivativeAt(u);
-      const length = Math.sqrt(
-        derivative.x * derivative.x + derivative.y * derivative.y
-      );
+    this.renderPath(pathData, {
+      moveTo(x, y) {
+        finish();
+        polygon = [];
+        add(x, y);
+      },
+      lineTo: add,
+      bezierCurveTo(x1, y1, x2, y2, x, y) {
+        const p0 = polygon[polygon.length - 1];
+        const hull =
+          Math.hypot(x1 - p0.x, y1 - p0.y) +
+          Math.hypot(x2 - x1, y2 - y1) +
+          Math.hypot(x - x2, y - y2);
+        const steps = Math.max(
+          1,
+          Math.min(64, Math.ceil(Math.sqrt(hull / flatness)))
+        );
+        for (let i = 1; i <= steps; i++) {
+          const t = i / steps;
+          const a = (1 - t) * (1 - t) * (1 - t);
+          const b = 3 * (1 - t) * (1 - t) * t;
+          const c = 3 * (1 - t) * t * t;
+          const d = t * t * t;
+          add(
+            a * p0.x + b * x1 + c * x2 + d * x,
+            a * p0.y + b * y1 + c * y2 + d * y
+          );
+        }
+      },
+      // renderPath passes the signed sweep as endAngle - startAngle
+      arc(cx, cy, radius, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+        const step =
+          flatness < radius ? 2 * Math.acos(1 - flatness / radius) : Math.PI;
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / step));
+        for (let i = 1; i <= steps; i++) {
+          const angle = startAngle + (sweep * i) / steps;
+          add(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle));
+        }
+      },
+      closePath() {},
+    });
+    finish();
+
+    return polygons;
+  }
+
+  /**
+   * Fill polygons with parallel lines under the nonzero rule, so the
+   * overlapping parts of an open stroke and the hole of a closed ring are
+   * handled like the SVG fill. Lines lie on a grid through the origin, so
+   * neighbouring strokes get aligned hatching.
+   * @param {Array} polygons - Polygons from flattenPath
+   * @param {number} spacing - Distance between lines
+   * @param {number} angle - Direction of the lines in radians
+   * @returns {Array} - Open paths {points, closed}, alternating in direction
+   */
+  hatchLines(polygons, spacing, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Rotate so the hatch lines are horizontal
+    const rotated = polygons.map((polygon) =>
+      polygon.map(({ x, y }) => ({
+        x: x * cos + y * sin,
+        y: y * cos - x * sin,
+      }))
+    );
+    const ys = rotated.flat().map((point) => point.y);
+    if (ys.length === 0) return [];
 
-      if (length > 0.0001) {
-        normals.push({
-          x: -derivative.y / length,
-          y: derivative.x / length,
+    const lines = [];
+    const first = Math.ceil(Math.min(...ys) / spacing);
+    const last = Math.floor(Math.max(...ys) / spacing);
+    for (let row = first; row <= last; row++) {
+      const y = row * spacing;
+      const crossings = [];
+      for (const polygon of rotated) {
+        for (let i = 0; i < polygon.length; i++) {
+          const a = polygon[i];
+          const b = polygon[(i + 1) % polygon.length];
+          // Half-open rule, so a vertex on the line is counted once
+          if (a.y <= y !== b.y <= y) {
+            const x = a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x);
+            crossings.push({ x, winding: b.y > a.y ? 1 : -1 });
+          }
+        }
+      }
+      crossings.sort((a, b) => a.x - b.x);
+
+      const segments = [];
+      let winding = 0;
+      let start = 0;
+      for (const crossing of crossings) {
+        const inside = winding !== 0;
+        winding += crossing.winding;
+        if (!inside && winding !== 0) {
+          start = crossing.x;
+        } else if (inside && winding === 0 && crossing.x > start) {
+          segments.push([start, crossing.x]);
+        }
+      }
+
+      // Alternate the direction of the rows
+      if ((row - first) % 2 === 1) {
+        segments.reverse().forEach((segment) => segment.reverse());
+      }
+      for (const segment of segments) {
+        lines.push({
+          points: segment.map((x) => ({
+            x: x * cos - y * sin,
+            y: x * sin + y * cos,
+          })),
+          closed: false,
         });
-      } else {
-        // Fall back to previous normal or default if no previous
-        const prevNormal = i > 0 ? normals[i - 1] : { x: 1, y: 0 };
-        normals.push(prevNormal);
-        this.logMessage(
-          `WARNING: Zero-length derivative at point ${i}, using fallback normal`
-        );
       }
     }
 
-    // Generate the outline points using the normals
-    const upperPoints = [];
-    const lowerPoints = [];
+    return lines;
+  }
 
-    for (let i = 0; i < disks.length; i++) {
-      const disk = disks[i];
-      const normal = normals[i];
+  /**
+   * Drop the repeated first sample of a closed shape, and give the dot of a
+   * single disk a normal
+   * @param {Array} disks - Samples along the curve
+   * @param {Array} normals - Normal at each sample
+   * @returns {Object} - {disks, normals}
+   */
+  plotterSamples(disks, normals) {
+    normals = disks.map((_, i) => normals[i] ?? { x: 1, y: 0 });
+    if (this.closed && disks.length > 1) {
+      const first = disks[0].center;
+      const last = disks[disks.length - 1].center;
+      if (Math.hypot(last.x - first.x, last.y - first.y) <= 1e-9) {
+        return { disks: disks.slice(0, -1), normals: normals.slice(0, -1) };
+      }
+    }
+    return { disks, normals };
+  }
 
-      // Calculate upper and lower points
-      upperPoints.push({
-        x: disk.center.x + normal.x * disk.radius,
-        y: disk.center.y + normal.y * disk.radius,
-      });
+  /**
+   * Split the samples into runs where a condition holds
+   * @param {Array} flags - Whether the condition holds at each sample
+   * @returns {Array} - Runs {indices, closed}; a closed shape where the
+   *   condition holds everywhere gives one closed run
+   */
+  sampleRuns(flags) {
+    const count = flags.length;
+    if (this.closed && count > 0 && flags.every(Boolean)) {
+      return [{ indices: flags.map((_, i) => i), closed: true }];
+    }
 
-      lowerPoints.push({
-        x: disk.center.x - normal.x * disk.radius,
-        y: disk.center.y - normal.y * disk.radius,
-      });
+    // On a closed shape, start where the condition fails so no run wraps
+    const offset = this.closed ? Math.max(0, flags.indexOf(false)) : 0;
+    const runs = [];
+    let run = [];
+    for (let k = 0; k <= count; k++) {
+      const i = (offset + k) % count;
+      if (k < count && flags[i]) {
+        run.push(i);
+      } else {
+        if (run.length > 0) runs.push({ indices: run, closed: false });
+        run = [];
+      }
     }
+    return runs;
+  }
 
-    // Get first and last disks for end caps
-    const firstDisk = disks[0];
-    const lastDisk = disks[disks.length - 1];
-    const firstNormal = normals[0];
-    const lastNormal = normals[normals.length - 1];
+  /**
+   * Fill the stroke with loops around the skeleton, each one fill spacing
+   * inside the last, made by shrinking every sampled disk
+   * @param {Array} disks - Samples along the curve from toSVGPath
+   * @param {Array} normals - Normal at each sample
+   * @param {number} spacing - Distance between loops
+   * @returns {Array} - Closed paths {points, closed}
+   */
+  concentricLoops(disks, normals, spacing) {
+    ({ disks, normals } = this.plotterSamples(disks, normals));
+    const maxRadius = Math.max(0, ...disks.map((disk) => disk.radius));
+    const capSteps = 8;
+    const loops = [];
 
-    // Calculate tangent vectors (perpendicular to normals)
-    const firstTangent = { x: firstNormal.y, y: -firstNormal.x };
-    const lastTangent = { x: lastNormal.y, y: -lastNormal.x };
+    for (let inset = spacing; inset < maxRadius; inset += spacing) {
+      const offsetPoint = (i, direction) => {
+        const reach = disks[i].radius - inset;
+        return {
+          x: disks[i].center.x + direction.x * reach,
+          y: disks[i].center.y + direction.y * reach,
+        };
+      };
+      // Half circle around the end of a run, from +normal through outward to -normal
+      const cap = (i, outward) => {
+        const points = [];
+        const normal = normals[i];
+        for (let step = 1; step < capSteps; step++) {
+          const angle = (step / capSteps) * Math.PI;
+          points.push(
+            offsetPoint(i, {
+              x: normal.x * Math.cos(angle) + outward.x * Math.sin(angle),
+              y: normal.y * Math.cos(angle) + outward.y * Math.sin(angle),
+            })
+          );
+        }
+        return points;
+      };
 
-    // Generate the variable-width path with rounded end caps
-    let pathData = "";
+      const runs = this.sampleRuns(disks.map((disk) => disk.radius > inset));
+      for (const { indices, closed } of runs) {
+        const upper = indices.map((i) => offsetPoint(i, normals[i]));
+        const lower = indices.map((i) =>
+          offsetPoint(i, { x: -normals[i].x, y: -normals[i].y })
+        );
+        if (closed) {
+          loops.push({ points: upper, closed: true });
+          loops.push({ points: lower, closed: true });
+          continue;
+        }
 
-    // Start point - add rounded cap if radius > 0
-    if (firstDisk.radius > 0) {
-      // Start at upper point of first disk
-      const upperFirstPoint = upperPoints[0];
-      pathData = `M ${upperFirstPoint.x} ${upperFirstPoint.y}`;
+        const first = indices[0];
+        const last = indices[indices.length - 1];
+        const tangent = (i) => ({ x: normals[i].y, y: -normals[i].x });
+        const backward = { x: -tangent(first).x, y: -tangent(first).y };
+        const startCap = cap(first, backward).reverse();
+        loops.push({
+          points: [
+            ...upper,
+            ...cap(last, tangent(last)),
+            ...lower.reverse(),
+            ...startCap,
+          ],
+          closed: true,
+        });
+      }
+    }
 
-      // Add semicircle for start cap
-      const lowerFirstPoint = lowerPoints[0];
+    return loops;
+  }
 
-      // Determine sweep flag based on tangent direction
-      const sweepFlag =
-        firstTangent.x * (upperFirstPoint.y - lowerFirstPoint.y) -
-          firstTangent.y * (upperFirstPoint.x - lowerFirstPoint.x) >
-        0
-          ? 1
-          : 0;
+  /**
+   * Trace the skeleton with passes side by side, one pen width apart. The
+   * center pass runs the whole length and each other pass is drawn only
+   * where the stroke is wide enough to hold it.
+   * @param {Array} disks - Samples along the curve from toSVGPath
+   * @param {Array} normals - Normal at each sample
+   * @param {number} penWidth - Width of the pen line
+   * @returns {Array} - Paths {points, closed}
+   */
+  skeletonPasses(disks, normals, penWidth) {
+    ({ disks, normals } = this.plotterSamples(disks, normals));
+    const maxRadius = Math.max(0, ...disks.map((disk) => disk.radius));
+    const sidePasses = Math.ceil(
+      Math.max(0, maxRadius - penWidth / 2) / penWidth - 1e-9
+    );
+    const paths = [];
 
-      pathData += ` A ${firstDisk.radius} ${firstDisk.radius} 0 0 ${sweepFlag} ${lowerFirstPoint.x} ${lowerFirstPoint.y}`;
-    } else {
-      // For zero radius, just connect the points directly
-      pathData = `M ${upperPoints[0].x} ${upperPoints[0].y} L ${lowerPoints[0].x} ${lowerPoints[0].y}`;
+    for (let k = -sidePasses; k <= sidePasses; k++) {
+      const offset = k * penWidth;
+      const flags = disks.map(
+        (disk) => Math.abs(offset) <= Math.max(0, disk.radius - penWidth / 2)
+      );
+      for (const { indices, closed } of this.sampleRuns(flags)) {
+        const points = indices.map((i) => ({
+          x: disks[i].center.x + normals[i].x * offset,
+          y: disks[i].center.y + normals[i].y * offset,
+        }));
+        // A single sample is still drawn, as a dot
+        paths.push({ points, closed: closed && points.length > 2 });
+      }
     }
 
-    // Draw the lower edge from start to end
-    for (let i = 1; i < lowerPoints.length; i++) {
-      pathData += ` L ${lowerPoints[i].x} ${lowerPoints[i].y}`;
-    }
+    return paths;
+  }
 
-    // End point - add rounded cap if radius > 0 and shape is not closed
-    if (!this.closed) {
-      if (lastDisk.radius > 0) {
-        // Add semicircle for end cap
-        const lowerLastPoint = lowerPoints[lowerPoints.length - 1];
-        const upperLastPoint = upperPoints[upperPoints.length - 1];
+  /**
+   * Order paths to shorten pen-up travel: starting at the origin, draw the
+   * nearest path next, reversing open paths and starting closed paths at
+   * their nearest point. Ties go to the earlier path, so the order is
+   * deterministic.
+   * @param {Array} paths - Paths {points, closed}
+   * @returns {Array} - The paths in drawing order
+   */
+  orderPaths(paths) {
+    const remaining = [...paths];
+    const ordered = [];
+    let position = { x: 0, y: 0 };
+    const distance = (point) =>
+      Math.hypot(point.x - position.x, point.y - position.y);
 
-        // Determine sweep flag based on tangent direction
-        const sweepFlag =
-          lastTangent.x * (lowerLastPoint.y - upperLastPoint.y) -
-            lastTangent.y * (lowerLastPoint.x - upperLastPoint.x) >
-          0
-            ? 0
-            : 1;
+    while (remaining.length > 0) {
+      let best = null;
+      remaining.forEach((path, index) => {
+        const candidates = path.closed
+          ? path.points.map((_, start) => start)
+          : [0, path.points.length - 1];
+        for (const start of candidates) {
+          const d = distance(path.points[start]);
+          if (!best || d < best.distance) {
+            best = { index, start, distance: d };
+          }
+        }
+      });
 
-        pathData += ` A ${lastDisk.radius} ${lastDisk.radius} 0 0 ${sweepFlag} ${upperLastPoint.x} ${upperLastPoint.y}`;
+      const [path] = remaining.splice(best.index, 1);
+      let points;
+      if (path.closed) {
+        points = [
+          ...path.points.slice(best.start),
+          ...path.points.slice(0, best.start),
+        ];
       } else {
-        // For zero radius, just connect the points directly
-        pathData += ` L ${upperPoints[upperPoints.length - 1].x} ${
-          upperPoints[upperPoints.length - 1].y
-        }`;
+        points = best.start === 0 ? path.points : [...path.points].reverse();
       }
+      ordered.push({ points, closed: path.closed });
+      position = path.closed ? points[0] : points[points.length - 1];
     }
 
-    // Draw the upper edge from end to start
-    for (let i = upperPoints.length - 2; i >= 0; i--) {
-      pathData += ` L ${upperPoints[i].x} ${upperPoints[i].y}`;
-    }
+    return ordered;
+  }
 
-    // Close the path
-    pathData += " Z";
+  /**
+   * Export the plotter paths as HPGL, in plotter units of 0.025 mm
+   * @param {Object} options - toPlotterPaths options, plus:
+   * @param {string} options.units - Output unit, "mm" or "in" (default: "mm")
+   * @param {number} options.pen - Pen number to select (default: 1)
+   * @returns {string} - HPGL program, one instruction per line
+   * @throws {RangeError} - If the units are unknown, or see toPlotterPaths
+   */
+  toHPGL(options = {}) {
+    const units = options.units ?? "mm";
+    const perUnit = { mm: 40, in: 1016 }[units];
+    if (perUnit === undefined) {
+      throw new RangeError(`Unknown units "${units}"`);
+    }
+    const coordinate = (point) =>
+      `${Math.round(point.x * perUnit) || 0},${
+        Math.round(point.y * perUnit) || 0
+      }`;
 
-    this.logMessage(
-      `Generated SVG path with ${disks.length} points using normals and rounded end caps`
-    );
+    const lines = ["IN;", `SP${options.pen ?? 1};`];
+    for (const { points } of this.toPlotterPaths(options)) {
+      lines.push(`PU${coordinate(points[0])};`);
+      const rest = points.length > 1 ? points.slice(1) : points;
+      lines.push(`PD${rest.map(coordinate).join(",")};`);
+    }
+    lines.push("PU;", "SP0;");
 
-    return {
-      fillPath: pathData,
-      skeletonPath: skeletonPath,
-      disks,
-      normals,
-    };
+    return lines.join("\n") + "\n";
   }
 
   /**
-   * Generate circles for visualizing the control disks
-   * @param {Object} options - Visual options for control disks
-   * @returns {string} - SVG elements for control disks
+   * Export the plotter paths as G-code with absolute coordinates
+   * @param {Object} options - toPlotterPaths options, plus:
+   * @param {string} options.units - Output unit, "mm" (G21) or "in" (G20) (default: "mm")
+   * @param {number} options.feedRate - Drawing feed rate (default: 1000)
+   * @param {string} options.penUp - Command that lifts the pen (default: "G0 Z5"; "M5" for a laser)
+   * @param {string} options.penDown - Command that lowers the pen (default: "G0 Z0"; "M3 S1000" for a laser)
+   * @param {number} options.precision - Decimal places of coordinates (default: 3)
+   * @returns {string} - G-code program, one command per line
+   * @throws {RangeError} - If the units are unknown, or see toPlotterPaths
    */
-  controlDisksToSVG(options = {}) {
-    const defaults = {
-      lineColor: "gray",
-      centerColor: "red",
-      textColor: "#333",
-      lineWidth: 1,
-      dotSize: 3,
+  toGCode(options = {}) {
+    const units = options.units ?? "mm";
+    const unitCommand = { mm: "G21", in: "G20" }[units];
+    if (unitCommand === undefined) {
+      throw new RangeError(`Unknown units "${units}"`);
+    }
+    const precision = options.precision ?? 3;
+    const penUp = options.penUp ?? "G0 Z5";
+    const penDown = options.penDown ?? "G0 Z0";
+    const feedRate = options.feedRate ?? 1000;
+    const number = (value) => {
+      const text = value.toFixed(precision);
+      const trimmed = text.includes(".")
+        ? text.replace(/0+$/, "").replace(/\.$/, "")
+        : text;
+      return trimmed === "-0" ? "0" : trimmed;
     };
+    const coordinate = (point) => `X${number(point.x)} Y${number(point.y)}`;
 
-    const opts = { ...defaults, ...options };
-    let circles = "";
-
-    // First draw the centerline to better visualize the path
-    if (this.controlDisks.length >= 2) {
-      let centerline = `<path d="M`;
-
-      this.controlDisks.forEach((disk, index) => {
-        if (index === 0) {
-          centerline += ` ${disk.center.x} ${disk.center.y}`;
-        } else {
-          centerline += ` L ${disk.center.x} ${disk.center.y}`;
-        }
+    const lines = [unitCommand, "G90", penUp];
+    for (const { points } of this.toPlotterPaths(options)) {
+      lines.push(`G0 ${coordinate(points[0])}`, penDown);
+      points.slice(1).forEach((point, index) => {
+        lines.push(
+          `G1 ${coordinate(point)}${index === 0 ? ` F${feedRate}` : ""}`
+        );
       });
-
-      centerline += `" stroke="${opts.lineColor}" stroke-width="${opts.lineWidth}" stroke-dasharray="2,2" fill="none" />`;
-      circles += centerline;
+      lines.push(penUp);
     }
+    lines.push("M2");
 
-    // Then draw the control disks
-    this.controlDisks.forEach((disk, index) => {
-      // Disk outline
-      circles += `<circle cx="${disk.center.x}" cy="${disk.center.y}" r="${disk.radius}" fill="none" stroke="${opts.lineColor}" stroke-dasharray="1,1" stroke-width="1" stroke-linecap="rounded" />`;
-      // Center point with data attributes
-      circles += `<circle cx="${disk.center.x}" cy="${disk.center.y}" r="${opts.dotSize}" fill="${opts.centerColor}" data-index="${index}" data-type="center" />`;
-      // Radius handle at 0 degrees with data attributes
-      circles += `<circle cx="${disk.center.x + disk.radius}" cy="${
-        disk.center.y
-      }" r="${
-        opts.dotSize / 2
-      }" fill="blue" data-index="${index}" data-type="radius" />`;
-      // Radius label
-      circles += `<text x="${disk.center.x + 5}" y="${
-        disk.center.y - 5
-      }" font-size="10" fill="${opts.textColor}">${Math.round(
-        disk.radius
-      )}</text>`;
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Write the control disks in the text format read by parse: one
+   * "x,y,radius" line per disk, with the weight added for rational curves,
+   * and a final "z" line for closed shapes
+   * @returns {string} - Text with one line per control disk
+   */
+  toText() {
+    const rational = this.isRational();
+    const lines = this.sourceDisks.map((disk) => {
+      const fields = [disk.center.x, disk.center.y, disk.radius];
+      if (rational) fields.push(disk.weight ?? 1);
+      return fields.join(",");
     });
+    if (this.closed) {
+      lines.push("z");
+    }
+    return lines.join("\n");
+  }
 
-    return circles;
+  /**
+   * Describe the spline as a versioned, JSON-compatible object. It keeps the
+   * degree (or "auto"), closed flag, parameterization, an explicit knot
+   * vector if there is one, whether negative radii are allowed, and every
+   * property of each control disk. Called by JSON.stringify.
+   * @returns {Object} - {format, version, degree, closed, parameterization, knots,
+   *   allowNegativeRadii, disks}
+   */
+  toJSON() {
+    return {
+      format: "dbsc-svg",
+      version: DiskBSpline.JSON_VERSION,
+      degree: this.autoDegree ? "auto" : this.degree,
+      closed: this.closed,
+      parameterization: this.parameterization,
+      knots: this.explicitKnots ? [...this.explicitKnots] : null,
+      allowNegativeRadii: this.allowNegativeRadii,
+      disks: this.sourceDisks.map((disk) => ({
+        ...disk,
+        center: { ...disk.center },
+        ...(disk.attributes ? { attributes: { ...disk.attributes } } : {}),
+      })),
+    };
   }
 }
 
+/**
+ * Version of the JSON format written by toJSON
+ */
+DiskBSpline.JSON_VERSION = 1;
+
+/**
+ * Default style of controlDisksToSVG and drawControlDisks
+ */
+DiskBSpline.CONTROL_DISK_STYLE = {
+  lineColor: "gray",
+  centerColor: "red",
+  textColor: "#333",
+  lineWidth: 1,
+  dotSize: 3,
+};
+
 // Export the DiskBSpline class
 if (typeof module !== "undefined" && typeof module.exports !== "undefined") {
   module.exports = { DiskBSpline };
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius) => ({ center: { x, y }, radius });
+
+test("animating to a zero-radius end keeps one path structure", () => {
+  const from = new DiskBSpline([
+    disk(0, 0, 8),
+    disk(30, 20, 6),
+    disk(60, 0, 6),
+    disk(90, 20, 8),
+  ]);
+  const to = new DiskBSpline([
+    disk(0, 0, 8),
+    disk(30, 20, 4),
+    disk(60, 0, 2),
+    disk(90, 20, 0),
+  ]);
+  const frames = DiskBSpline.animate([from, to], { frames: 5 });
+
+  const styles = ["round", "butt", "square", "pointed", "tapered", "arrow"];
+  for (const style of styles) {
+    const values = DiskBSpline.toSMILValues(frames, { caps: style });
+    const commands = values
+      .split(";")
+      .map((path) => path.match(/[A-Z]/g).join(""));
+    assert.strictEqual(commands.length, 5);
+    assert.ok(commands.every((c) => c === commands[0]), style);
+    assert.match(
+      DiskBSpline.toCSSKeyframes(frames, "taper", { caps: style }),
+      /100% \{ d: path\("M /
+    );
+  }
+});
+
+test("a zero-radius round cap is a zero-radius arc", () => {
+  const spline = new DiskBSpline([
+    disk(0, 0, 8),
+    disk(30, 20, 4),
+    disk(60, 0, 2),
+    disk(90, 20, 0),
+  ]);
+  const { fillPath } = spline.toSVGPath(32);
+  assert.match(fillPath, / A 0 0 0 [01] [01] 90 20/);
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius) => ({ center: { x, y }, radius });
+
+const open = new DiskBSpline([
+  disk(0, 0, 8),
+  disk(30, 20, 5),
+  disk(60, 0, 10),
+  disk(90, 20, 4),
+]);
+const closed = new DiskBSpline(
+  [disk(0, 0, 6), disk(40, 0, 6), disk(40, 40, 6), disk(0, 40, 6)],
+  { closed: true }
+);
+
+// Records every method call and property assignment in order
+class Recorder {
+  constructor() {
+    const calls = [];
+    return new Proxy(this, {
+      get: (target, name) =>
+        name === "calls" ? calls : (...args) => calls.push([name, ...args]),
+      set: (target, name, value) => {
+        calls.push([`${String(name)}=`, value]);
+        return true;
+      },
+    });
+  }
+}
+
+// Checks the recorded path calls against the commands of the path data
+function assertTraces(calls, pathData) {
+  const commands = pathData.match(/[A-Za-z][^A-Za-z]*/g);
+  assert.strictEqual(calls.length, commands.length);
+  let start = null;
+
+  commands.forEach((command, index) => {
+    const [letter, ...values] = command.trim().split(/\s+/);
+    const numbers = values.map(Number);
+    const [name, ...args] = calls[index];
+    const end = numbers.slice(-2);
+
+    switch (letter) {
+      case "M":
+        start = end;
+        assert.deepStrictEqual([name, ...args], ["moveTo", ...numbers]);
+        break;
+      case "L":
+        assert.deepStrictEqual([name, ...args], ["lineTo", ...numbers]);
+        break;
+      case "C":
+        assert.deepStrictEqual([name, ...args], ["bezierCurveTo", ...numbers]);
+        break;
+      case "A": {
+        assert.strictEqual(name, "arc");
+        const [cx, cy, radius, , endAngle, counterclockwise] = args;
+        // A semicircle's radius may be scaled up by rounding in the chord
+        assert.ok(Math.abs(radius - numbers[0]) < 1e-9);
+        assert.strictEqual(counterclockwise, numbers[4] === 0);
+        assert.ok(Math.abs(cx + radius * Math.cos(endAngle) - end[0]) < 1e-9);
+        assert.ok(Math.abs(cy + radius * Math.sin(endAngle) - end[1]) < 1e-9);
+        break;
+      }
+      case "Z":
+        assert.ok(start !== null);
+        assert.deepStrictEqual(calls[index], ["closePath"]);
+        break;
+      default:
+        assert.fail(`Unexpected command ${letter}`);
+    }
+  });
+}
+
+for (const [label, spline] of [
+  ["an open", open],
+  ["a closed", closed],
+]) {
+  test(`drawPath traces the toSVGPath outline of ${label} stroke`, () => {
+    for (const pathType of ["polyline", "bezier"]) {
+      const ctx = new Recorder();
+      const result = spline.drawPath(ctx, 32, { pathType });
+
+      assert.deepStrictEqual(result, spline.toSVGPath(32, { pathType }));
+      assert.deepStrictEqual(ctx.calls[0], ["beginPath"]);
+      assert.deepStrictEqual(ctx.calls[ctx.calls.length - 1], ["fill"]);
+      assertTraces(ctx.calls.slice(1, -1), result.fillPath);
+    }
+  });
+
+  test(`toPath2D builds the toSVGPath outline of ${label} stroke`, () => {
+    const path = spline.toPath2D(32, { Path2D: Recorder });
+    assert.ok(path instanceof Recorder);
+    assertTraces(path.calls, spline.toSVGPath(32).fillPath);
+  });
+
+  test(`drawControlDisks draws every control disk of ${label} stroke`, () => {
+    const ctx = new Recorder();
+    spline.drawControlDisks(ctx, { lineColor: "black" });
+    const names = ctx.calls.map(([name]) => name);
+    const controlDisks = spline.getControlDisks();
+
+    assert.strictEqual(names[0], "save");
+    assert.strictEqual(names[names.length - 1], "restore");
+    assert.strictEqual(names.includes("closePath"), spline.closed);
+    assert.deepStrictEqual(
+      ctx.calls.filter(([name]) => name === "moveTo" || name === "lineTo"),
+      controlDisks.map(({ center }, index) => [
+        index === 0 ? "moveTo" : "lineTo",
+        center.x,
+        center.y,
+      ])
+    );
+    assert.deepStrictEqual(
+      ctx.calls
+        .filter(([name]) => name === "arc")
+        .map(([, x, y, radius]) => [x, y, radius]),
+      controlDisks.flatMap(({ center: { x, y }, radius }) => [
+        [x, y, radius],
+        [x, y, DiskBSpline.CONTROL_DISK_STYLE.dotSize],
+        [x + radius, y, DiskBSpline.CONTROL_DISK_STYLE.dotSize / 2],
+      ])
+    );
+    assert.deepStrictEqual(
+      ctx.calls.filter(([name]) => name === "fillText").map(([, text]) => text),
+      controlDisks.map(({ radius }) => String(Math.round(radius)))
+    );
+    assert.ok(
+      ctx.calls.some(
+        ([name, value]) => name === "strokeStyle=" && value === "black"
+      )
+    );
+  });
+}
+
+test("toPath2D throws without a Path2D constructor", () => {
+  assert.strictEqual(globalThis.Path2D, undefined);
+  assert.throws(() => open.toPath2D(), /Path2D is not available/);
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+
+const cli = path.join(__dirname, "..", "bin", "dbsc-svg.js");
+
+test("batch mode renders the other files when one fails to parse", (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "dbsc-svg-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const output = path.join(directory, "out");
+
+  fs.writeFileSync(path.join(directory, "a.txt"), "0,0,5\n20,10,3\n40,0,4\n");
+  fs.writeFileSync(path.join(directory, "b.txt"), "0,0,5\n20,x,3\n");
+  fs.writeFileSync(path.join(directory, "c.txt"), "0,0,2\n10,10,3\n20,0,2\n");
+
+  const { status, stderr } = spawnSync(
+    process.execPath,
+    [cli, "render", directory, "-o", output, "--degree", "2"],
+    { encoding: "utf8" }
+  );
+
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /b\.txt:2:4: Expected a number for y, got "x"/);
+  assert.deepStrictEqual(fs.readdirSync(output).sort(), ["a.svg", "c.svg"]);
+});
@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius) => ({ center: { x, y }, radius });
+
+test("NO_ENVELOPE diagnostics carry the parameter of the sample", () => {
+  const events = [];
+  // The radius grows much faster than the center moves
+  const spline = new DiskBSpline(
+    [disk(0, 0, 1), disk(2, 0, 20), disk(4, 0, 40), disk(30, 0, 5)],
+    { onDiagnostic: (event) => events.push(event) }
+  );
+  spline.toSVGPath(64, { boundary: "envelope" });
+
+  const noEnvelope = events.filter(({ code }) => code === "NO_ENVELOPE");
+  assert.ok(noEnvelope.length > 0);
+  const { start, end } = spline.getParameterRange();
+  for (const { u } of noEnvelope) {
+    assert.ok(Number.isFinite(u) && u >= start && u <= end);
+  }
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius) => ({ center: { x, y }, radius });
+
+test("a closed curve wraps negative parameters into its period", () => {
+  const spline = new DiskBSpline(
+    [disk(0, 0, 4), disk(40, 0, 6), disk(40, 40, 8), disk(0, 40, 5)],
+    { closed: true }
+  );
+  const { start, end } = spline.getParameterRange();
+  const period = end - start;
+
+  for (const fraction of [0.1, 0.25, 0.6]) {
+    const u = start + fraction * period;
+    for (const shifted of [u - period, u - 3 * period, u + 2 * period]) {
+      const expected = spline.evaluateAt(u);
+      const actual = spline.evaluateAt(shifted);
+      assert.ok(Math.abs(actual.center.x - expected.center.x) < 1e-9);
+      assert.ok(Math.abs(actual.center.y - expected.center.y) < 1e-9);
+      assert.ok(Math.abs(actual.radius - expected.radius) < 1e-9);
+
+      const derivative = spline.evaluateDerivativeAt(shifted);
+      const expectedDerivative = spline.evaluateDerivativeAt(u);
+      assert.ok(Math.abs(derivative.x - expectedDerivative.x) < 1e-6);
+      assert.ok(Math.abs(derivative.y - expectedDerivative.y) < 1e-6);
+    }
+  }
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius, weight) => ({
+  center: { x, y },
+  radius,
+  ...(weight === undefined ? {} : { weight }),
+});
+
+const splines = {
+  open: new DiskBSpline([
+    disk(0, 0, 4),
+    disk(20, 15, 6),
+    disk(40, -5, 3),
+    disk(60, 10, 8),
+    disk(80, 0, 2),
+    disk(100, 20, 5),
+  ]),
+  closed: new DiskBSpline(
+    [disk(0, 0, 4), disk(40, 0, 6), disk(40, 40, 8), disk(0, 40, 5)],
+    { closed: true }
+  ),
+  rational: new DiskBSpline([
+    disk(0, 0, 4),
+    disk(20, 30, 6, 3),
+    disk(40, 0, 3, 0.5),
+    disk(60, 20, 8),
+  ]),
+};
+
+for (const [name, spline] of Object.entries(splines)) {
+  test(`evaluateMany matches evaluateAt on every span of a ${name} curve`, () => {
+    const { start, end } = spline.getParameterRange();
+    const us = [];
+    // Knots, points inside every span, and parameters outside the range
+    for (let i = 0; i <= 97; i++) {
+      us.push(start - 0.5 + (i / 97) * (end - start + 1));
+    }
+    us.push(...spline.knots.filter((u) => u >= start && u <= end));
+
+    const result = spline.evaluateMany(us);
+    us.forEach((u, i) => {
+      const expected = spline.evaluateAt(u);
+      assert.strictEqual(result.x[i], expected.center.x, `x at u=${u}`);
+      assert.strictEqual(result.y[i], expected.center.y, `y at u=${u}`);
+      assert.strictEqual(result.radius[i], expected.radius, `r at u=${u}`);
+    });
+
+    // Reused output arrays give the same values
+    const again = spline.evaluateMany(us, result);
+    assert.strictEqual(again, result);
+    assert.strictEqual(again.x[5], spline.evaluateAt(us[5]).center.x);
+  });
+}
+
+test("the deprecated basisFunction wrappers match basisFunctionsAt", () => {
+  const spline = splines.open;
+  const k = spline.degree;
+  for (const u of [0.3, 1.5, 2.999]) {
+    const span = spline.findSpan(u);
+    const values = spline.basisFunctionsAt(span, u);
+    const ders = spline.basisFunctionDerivativesAt(span, u, 1);
+    for (let i = 0; i < spline.controlDisks.length; i++) {
+      const j = i - span + k;
+      const inSpan = j >= 0 && j <= k;
+      assert.strictEqual(spline.basisFunction(i, k, u), inSpan ? values[j] : 0);
+      assert.strictEqual(
+        spline.basisFunctionDerivative(i, k, u),
+        inSpan ? ders[1][j] : 0
+      );
+    }
+  }
+  assert.throws(() => spline.basisFunction(0, k - 1, 0.5), RangeError);
+});
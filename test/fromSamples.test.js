@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const stroke = (pressure) =>
+  Array.from({ length: 40 }, (_, i) => ({
+    x: i * 3,
+    y: Math.sin(i / 5) * 10,
+    pressure: pressure(i),
+  }));
+
+test("fromSamples fits a pressure step within tolerance", () => {
+  const samples = stroke((i) => (i < 20 ? 0.2 : 1));
+  const spline = DiskBSpline.fromSamples(samples, { tolerance: 0.5 });
+
+  for (const sample of samples) {
+    const { u } = spline.closestPoint(sample);
+    const radius = spline.evaluateAt(u).radius;
+    assert.ok(Math.abs(radius - sample.pressure * 10) < 1);
+  }
+  assert.ok(spline.controlDisks.length > 4);
+});
+
+test("fromSamples passes on errors other than a singular system", () => {
+  const samples = stroke(() => 1);
+  assert.throws(
+    () => DiskBSpline.fromSamples(samples, { radiusFromPressure: () => NaN }),
+    /invalid radius/
+  );
+});
+
+test("fromSamples reports a clear error when no fit can be solved", (t) => {
+  t.mock.method(DiskBSpline, "leastSquaresFit", () => {
+    const error = new Error("Singular system");
+    error.code = "SINGULAR_SYSTEM";
+    throw error;
+  });
+  assert.throws(
+    () => DiskBSpline.fromSamples(stroke(() => 1)),
+    /Could not fit 40 samples/
+  );
+});
+
+test("fromSamples keeps the parameters of the last successful fit", (t) => {
+  const fit = DiskBSpline.leastSquaresFit;
+  const calls = [];
+  t.mock.method(DiskBSpline, "leastSquaresFit", (disks, params, ...rest) => {
+    calls.push(params);
+    // The first refinement pass is singular
+    if (calls.length === 2) {
+      const error = new Error("Singular system");
+      error.code = "SINGULAR_SYSTEM";
+      throw error;
+    }
+    return fit(disks, params, ...rest);
+  });
+
+  DiskBSpline.fromSamples(stroke((i) => (i < 20 ? 0.2 : 1)), {
+    tolerance: 0.01,
+    maxDisks: 8,
+  });
+  assert.ok(calls.length > 2);
+  assert.notDeepStrictEqual(calls[1], calls[0]);
+  assert.deepStrictEqual(calls[2], calls[0]);
+});
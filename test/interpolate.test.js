@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius) => ({ center: { x, y }, radius });
+
+test("interpolate passes through a stroke that tapers to zero radius", () => {
+  const disks = [
+    disk(0, 0, 10),
+    disk(20, 5, 8),
+    disk(40, 0, 6),
+    disk(60, 5, 3),
+    disk(80, 0, 0),
+  ];
+  const spline = DiskBSpline.interpolate(disks);
+
+  const { start, end } = spline.getParameterRange();
+  assert.ok(Math.abs(spline.evaluateAt(end).radius) < 1e-9);
+  assert.ok(Math.abs(spline.evaluateAt(start).radius - 10) < 1e-9);
+  assert.notStrictEqual(spline.toSVGPath().fillPath, "");
+});
+
+test("interpolate accepts solved control disks with negative radii", () => {
+  const disks = [
+    disk(0, 0, 1),
+    disk(10, 0, 1),
+    disk(20, 0, 1),
+    disk(30, 0, 10),
+    disk(40, 0, 10),
+    disk(50, 0, 10),
+  ];
+  const spline = DiskBSpline.interpolate(disks);
+
+  assert.ok(spline.getControlDisks().some((control) => control.radius < 0));
+  assert.strictEqual(spline.allowNegativeRadii, true);
+  const copy = DiskBSpline.fromJSON(JSON.parse(JSON.stringify(spline)));
+  assert.deepStrictEqual(copy.getControlDisks(), spline.getControlDisks());
+
+  const closed = DiskBSpline.interpolate(disks, { closed: true });
+  assert.strictEqual(DiskBSpline.lerp(closed, closed, 0.5).closed, true);
+});
+
+test("the constructor still rejects a negative radius from the caller", () => {
+  assert.throws(() => new DiskBSpline([disk(0, 0, -1)]), RangeError);
+  assert.throws(() => DiskBSpline.interpolate([disk(0, 0, -1)]), RangeError);
+});
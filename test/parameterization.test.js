@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disks = [
+  { center: { x: 0, y: 0 }, radius: 5 },
+  { center: { x: 10, y: 0 }, radius: 5 },
+  { center: { x: 40, y: 10 }, radius: 5 },
+  { center: { x: 50, y: 30 }, radius: 5 },
+];
+
+test("the constructor rejects an unknown parameterization", () => {
+  assert.throws(
+    () => new DiskBSpline(disks, { parameterization: "centripedal" }),
+    /Unknown parameterization "centripedal"/
+  );
+  for (const parameterization of ["uniform", "chordLength", "centripetal"]) {
+    const spline = new DiskBSpline(disks, { parameterization });
+    assert.strictEqual(spline.parameterization, parameterization);
+  }
+});
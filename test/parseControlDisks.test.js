@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+test("parseControlDisks reads decimal numbers", () => {
+  const { controlDisks, errors } = DiskBSpline.parseControlDisks(
+    "1, -2.5, .5\n+3e1,4.,1E-1,2"
+  );
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(controlDisks, [
+    { center: { x: 1, y: -2.5 }, radius: 0.5 },
+    { center: { x: 30, y: 4 }, radius: 0.1, weight: 2 },
+  ]);
+});
+
+test("parseControlDisks reports non-decimal numbers with their position", () => {
+  const { controlDisks, errors } = DiskBSpline.parseControlDisks(
+    "0x10,0,5\n0, 0b1,5\n0,0,   \n1_0,0,5\n0,Infinity,5"
+  );
+  assert.deepStrictEqual(controlDisks, []);
+  assert.deepStrictEqual(errors, [
+    { line: 1, column: 1, message: `Expected a number for x, got "0x10"` },
+    { line: 2, column: 4, message: `Expected a number for y, got "0b1"` },
+    { line: 3, column: 8, message: `Expected a number for radius, got ""` },
+    { line: 4, column: 1, message: `Expected a number for x, got "1_0"` },
+    { line: 5, column: 3, message: `Expected a number for y, got "Infinity"` },
+  ]);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius) => ({ center: { x, y }, radius });
+
+const spline = new DiskBSpline([
+  disk(0, 0, 4),
+  disk(15, 10, 3),
+  disk(30, 0, 5),
+  disk(45, 10, 2),
+]);
+
+// Compares output with a file in test/snapshots; run with
+// UPDATE_SNAPSHOTS=1 to write the files after an intended change
+function assertSnapshot(name, actual) {
+  const file = path.join(__dirname, "snapshots", name);
+  if (process.env.UPDATE_SNAPSHOTS === "1") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.strictEqual(actual, fs.readFileSync(file, "utf8"), `Snapshot ${name}`);
+}
+
+const modes = {
+  hatch: { fill: "hatch" },
+  concentric: { fill: "concentric" },
+  singleLine: { singleLine: true },
+};
+
+for (const [mode, options] of Object.entries(modes)) {
+  const plotterOptions = { ...options, penWidth: 1, flatness: 0.2 };
+
+  test(`toHPGL output for ${mode} fill`, () => {
+    assertSnapshot(`${mode}.hpgl`, spline.toHPGL(plotterOptions));
+  });
+
+  test(`toGCode output for ${mode} fill`, () => {
+    assertSnapshot(`${mode}.gcode`, spline.toGCode(plotterOptions));
+  });
+}
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DiskBSpline } = require("../index.js");
+
+const disk = (x, y, radius) => ({ center: { x, y }, radius });
+
+test("removeLoops keeps the ends of the outline on the end disks", () => {
+  // The stroke curls back so its end overlaps the start disk
+  const spline = new DiskBSpline([
+    disk(0, 0, 20),
+    disk(40, 0, 5),
+    disk(40, 40, 5),
+    disk(-5, 25, 12),
+  ]);
+  const plain = spline.toSVGPath();
+  const cleaned = spline.toSVGPath(null, { removeLoops: true });
+
+  // The outline starts with the start cap, from the upper to the lower side
+  const start = (path) => path.match(/^M \S+ \S+ A( \S+){7}/)[0];
+  assert.strictEqual(start(cleaned.fillPath), start(plain.fillPath));
+
+  const last = cleaned.disks[cleaned.disks.length - 1];
+  const arcs = [
+    ...cleaned.fillPath.matchAll(/ A (\S+) \S+ \S+ \S+ \S+ (\S+) (\S+)/g),
+  ];
+  const [, radius, x, y] = arcs[arcs.length - 1];
+  assert.strictEqual(Number(radius), last.radius);
+  assert.ok(
+    Math.abs(
+      Math.hypot(Number(x) - last.center.x, Number(y) - last.center.y) -
+        last.radius
+    ) < 1e-9
+  );
+});
+
+// Counts grid points where the nonzero fill of the outline disagrees with
+// the union of the swept disks, skipping points close to its edge
+function fillErrors(spline, options) {
+  const { fillPath } = spline.toSVGPath(null, options);
+  const polygons = spline.flattenPath(fillPath, 0.05);
+  const disks = spline.sampleCurveArcLength(400).map(({ disk }) => disk);
+
+  let errors = 0;
+  for (let y = -40.5; y < 60; y += 1.5) {
+    for (let x = -20.5; x < 110; x += 1.5) {
+      const point = { x, y };
+      const { depth } = spline.sweptDiskDepth(point, disks);
+      if (Math.abs(depth) < 0.3) continue;
+      const winding = polygons.reduce(
+        (sum, polygon) => sum + spline.windingNumber(point, polygon),
+        0
+      );
+      if (depth > 0 !== (winding !== 0)) errors++;
+    }
+  }
+  return errors;
+}
+
+test("removeLoops keeps the body of a stroke that overlaps itself", () => {
+  // The stroke doubles back on itself while its radius shrinks
+  const spline = new DiskBSpline([
+    disk(0, 0, 10),
+    disk(50, 0, 25),
+    disk(60, 30, 25),
+    disk(20, 10, 10),
+    disk(100, 0, 5),
+  ]);
+
+  assert.strictEqual(
+    fillErrors(spline, { boundary: "envelope", removeLoops: true }),
+    0
+  );
+  assert.ok(
+    fillErrors(spline, { removeLoops: true }) <= fillErrors(spline, {})
+  );
+});
+
+test("removeLoops cuts the swallowtails of a tight turn", () => {
+  const spline = new DiskBSpline([
+    disk(0, 0, 10),
+    disk(60, 0, 10),
+    disk(0, 30, 10),
+    disk(60, 30, 10),
+  ]);
+  const crossings = (options) => {
+    const [outline] = spline.flattenPath(
+      spline.toSVGPath(null, options).fillPath,
+      0.05
+    );
+    let count = 0;
+    for (let i = 0; i < outline.length - 1; i++) {
+      for (let j = i + 2; j < outline.length - 1; j++) {
+        if (i === 0 && j === outline.length - 2) continue;
+        if (
+          spline.segmentIntersection(
+            outline[i],
+            outline[i + 1],
+            outline[j],
+            outline[j + 1]
+          )
+        ) {
+          count++;
+        }
+      }
+    }
+    return count;
+  };
+
+  assert.ok(crossings({}) > 0);
+  assert.strictEqual(crossings({ removeLoops: true }), 0);
+  assert.strictEqual(fillErrors(spline, { removeLoops: true }), 0);
+});
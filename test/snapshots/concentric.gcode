@@ -0,0 +1,679 @@
+G21
+G90
+G0 Z5
+G0 X-0.556 Y0.831
+G0 Z0
+G1 X-0.832 Y0.555 F1000
+G1 X-0.981 Y0.194
+G1 X-0.981 Y-0.196
+G1 X-0.831 Y-0.556
+G1 X-0.555 Y-0.832
+G1 X0.054 Y-1.184
+G1 X0.66 Y-1.519
+G1 X1.264 Y-1.836
+G1 X1.866 Y-2.136
+G1 X2.465 Y-2.421
+G1 X3.063 Y-2.69
+G1 X3.659 Y-2.943
+G1 X4.252 Y-3.183
+G1 X4.845 Y-3.407
+G1 X5.435 Y-3.619
+G1 X6.025 Y-3.816
+G1 X6.613 Y-4.002
+G1 X7.2 Y-4.174
+G1 X7.786 Y-4.335
+G1 X8.37 Y-4.485
+G1 X8.954 Y-4.624
+G1 X9.537 Y-4.752
+G1 X10.12 Y-4.87
+G1 X10.701 Y-4.978
+G1 X11.282 Y-5.077
+G1 X11.862 Y-5.167
+G1 X12.442 Y-5.249
+G1 X13.021 Y-5.323
+G1 X13.6 Y-5.389
+G1 X14.178 Y-5.448
+G1 X14.756 Y-5.501
+G1 X15.333 Y-5.547
+G1 X15.909 Y-5.587
+G1 X16.485 Y-5.621
+G1 X17.061 Y-5.65
+G1 X17.636 Y-5.675
+G1 X18.21 Y-5.695
+G1 X18.784 Y-5.712
+G1 X19.358 Y-5.725
+G1 X19.93 Y-5.734
+G1 X20.502 Y-5.741
+G1 X21.074 Y-5.746
+G1 X21.645 Y-5.749
+G1 X22.215 Y-5.75
+G1 X22.785 Y-5.75
+G1 X23.354 Y-5.749
+G1 X23.922 Y-5.748
+G1 X24.49 Y-5.747
+G1 X25.057 Y-5.746
+G1 X25.623 Y-5.746
+G1 X26.189 Y-5.747
+G1 X26.755 Y-5.75
+G1 X27.32 Y-5.755
+G1 X27.885 Y-5.762
+G1 X28.449 Y-5.771
+G1 X29.013 Y-5.784
+G1 X29.577 Y-5.8
+G1 X30.142 Y-5.82
+G1 X30.706 Y-5.844
+G1 X31.27 Y-5.873
+G1 X31.836 Y-5.907
+G1 X32.401 Y-5.946
+G1 X32.968 Y-5.991
+G1 X33.536 Y-6.043
+G1 X34.105 Y-6.101
+G1 X34.676 Y-6.166
+G1 X35.248 Y-6.239
+G1 X35.823 Y-6.32
+G1 X36.4 Y-6.409
+G1 X36.98 Y-6.507
+G1 X37.563 Y-6.616
+G1 X38.149 Y-6.734
+G1 X38.168 Y-6.736
+G1 X38.187 Y-6.731
+G1 X38.202 Y-6.719
+G1 X38.211 Y-6.702
+G1 X38.213 Y-6.683
+G1 X38.208 Y-6.665
+G1 X38.196 Y-6.65
+G1 X38.18 Y-6.641
+G1 X37.627 Y-6.404
+G1 X37.07 Y-6.183
+G1 X36.511 Y-5.977
+G1 X35.949 Y-5.786
+G1 X35.384 Y-5.61
+G1 X34.818 Y-5.447
+G1 X34.249 Y-5.297
+G1 X33.679 Y-5.16
+G1 X33.108 Y-5.036
+G1 X32.535 Y-4.923
+G1 X31.962 Y-4.822
+G1 X31.388 Y-4.731
+G1 X30.813 Y-4.65
+G1 X30.238 Y-4.579
+G1 X29.663 Y-4.517
+G1 X29.088 Y-4.463
+G1 X28.513 Y-4.416
+G1 X27.938 Y-4.377
+G1 X27.364 Y-4.345
+G1 X26.789 Y-4.318
+G1 X26.216 Y-4.297
+G1 X25.642 Y-4.281
+G1 X25.07 Y-4.269
+G1 X24.498 Y-4.26
+G1 X23.926 Y-4.255
+G1 X23.355 Y-4.251
+G1 X22.785 Y-4.25
+G1 X22.215 Y-4.25
+G1 X21.646 Y-4.251
+G1 X21.078 Y-4.251
+G1 X20.51 Y-4.252
+G1 X19.943 Y-4.251
+G1 X19.377 Y-4.248
+G1 X18.811 Y-4.244
+G1 X18.245 Y-4.236
+G1 X17.681 Y-4.225
+G1 X17.116 Y-4.21
+G1 X16.553 Y-4.191
+G1 X15.989 Y-4.167
+G1 X15.427 Y-4.137
+G1 X14.865 Y-4.1
+G1 X14.303 Y-4.057
+G1 X13.742 Y-4.007
+G1 X13.181 Y-3.948
+G1 X12.621 Y-3.881
+G1 X12.062 Y-3.805
+G1 X11.503 Y-3.72
+G1 X10.944 Y-3.624
+G1 X10.387 Y-3.518
+G1 X9.83 Y-3.4
+G1 X9.274 Y-3.271
+G1 X8.718 Y-3.129
+G1 X8.164 Y-2.974
+G1 X7.61 Y-2.806
+G1 X7.058 Y-2.624
+G1 X6.507 Y-2.427
+G1 X5.957 Y-2.216
+G1 X5.408 Y-1.989
+G1 X4.861 Y-1.746
+G1 X4.316 Y-1.486
+G1 X3.773 Y-1.21
+G1 X3.231 Y-0.916
+G1 X2.691 Y-0.604
+G1 X2.153 Y-0.274
+G1 X1.618 Y0.075
+G1 X1.085 Y0.444
+G1 X0.555 Y0.832
+G1 X0.194 Y0.981
+G1 X-0.196 Y0.981
+G1 X-0.556 Y0.831
+G0 Z5
+G0 X-1.113 Y1.662
+G0 Z0
+G1 X-1.664 Y1.109 F1000
+G1 X-1.962 Y0.388
+G1 X-1.961 Y-0.392
+G1 X-1.662 Y-1.113
+G1 X-1.109 Y-1.664
+G1 X-0.481 Y-2.029
+G1 X0.145 Y-2.376
+G1 X0.77 Y-2.705
+G1 X1.392 Y-3.017
+G1 X2.012 Y-3.312
+G1 X2.631 Y-3.591
+G1 X3.247 Y-3.855
+G1 X3.862 Y-4.103
+G1 X4.475 Y-4.337
+G1 X5.087 Y-4.556
+G1 X5.697 Y-4.761
+G1 X6.305 Y-4.953
+G1 X6.912 Y-5.132
+G1 X7.518 Y-5.299
+G1 X8.122 Y-5.454
+G1 X8.725 Y-5.597
+G1 X9.326 Y-5.729
+G1 X9.926 Y-5.851
+G1 X10.524 Y-5.962
+G1 X11.122 Y-6.064
+G1 X11.718 Y-6.157
+G1 X12.312 Y-6.241
+G1 X12.906 Y-6.316
+G1 X13.498 Y-6.384
+G1 X14.089 Y-6.444
+G1 X14.678 Y-6.498
+G1 X15.266 Y-6.544
+G1 X15.853 Y-6.585
+G1 X16.438 Y-6.62
+G1 X17.022 Y-6.65
+G1 X17.605 Y-6.675
+G1 X18.186 Y-6.695
+G1 X18.766 Y-6.712
+G1 X19.345 Y-6.725
+G1 X19.922 Y-6.734
+G1 X20.497 Y-6.741
+G1 X21.071 Y-6.746
+G1 X21.644 Y-6.749
+G1 X22.215 Y-6.75
+G1 X22.785 Y-6.75
+G1 X23.353 Y-6.749
+G1 X23.919 Y-6.748
+G1 X24.485 Y-6.747
+G1 X25.048 Y-6.746
+G1 X25.611 Y-6.746
+G1 X26.171 Y-6.747
+G1 X26.731 Y-6.75
+G1 X27.289 Y-6.754
+G1 X27.846 Y-6.761
+G1 X28.402 Y-6.77
+G1 X28.957 Y-6.782
+G1 X29.511 Y-6.798
+G1 X30.064 Y-6.817
+G1 X30.616 Y-6.84
+G1 X31.168 Y-6.868
+G1 X31.72 Y-6.9
+G1 X32.272 Y-6.938
+G1 X32.823 Y-6.981
+G1 X33.376 Y-7.03
+G1 X33.928 Y-7.085
+G1 X34.482 Y-7.147
+G1 X35.037 Y-7.216
+G1 X35.593 Y-7.293
+G1 X36.152 Y-7.378
+G1 X36.713 Y-7.471
+G1 X37.276 Y-7.573
+G1 X37.842 Y-7.685
+G1 X38.412 Y-7.808
+G1 X38.985 Y-7.941
+G1 X39.562 Y-8.085
+G1 X40.144 Y-8.241
+G1 X40.731 Y-8.41
+G1 X41.323 Y-8.592
+G1 X41.92 Y-8.787
+G1 X42.523 Y-8.998
+G1 X43.133 Y-9.224
+G1 X43.748 Y-9.465
+G1 X44.371 Y-9.724
+G1 X44.411 Y-9.74
+G1 X44.455 Y-9.739
+G1 X44.495 Y-9.721
+G1 X44.525 Y-9.689
+G1 X44.54 Y-9.649
+G1 X44.539 Y-9.605
+G1 X44.522 Y-9.566
+G1 X44.49 Y-9.536
+G1 X43.973 Y-9.091
+G1 X43.45 Y-8.666
+G1 X42.92 Y-8.261
+G1 X42.384 Y-7.875
+G1 X41.842 Y-7.509
+G1 X41.295 Y-7.16
+G1 X40.742 Y-6.831
+G1 X40.185 Y-6.519
+G1 X39.623 Y-6.225
+G1 X39.057 Y-5.949
+G1 X38.487 Y-5.689
+G1 X37.914 Y-5.446
+G1 X37.338 Y-5.219
+G1 X36.759 Y-5.009
+G1 X36.179 Y-4.813
+G1 X35.596 Y-4.632
+G1 X35.012 Y-4.466
+G1 X34.426 Y-4.313
+G1 X33.84 Y-4.173
+G1 X33.253 Y-4.047
+G1 X32.665 Y-3.932
+G1 X32.077 Y-3.829
+G1 X31.49 Y-3.736
+G1 X30.903 Y-3.654
+G1 X30.316 Y-3.582
+G1 X29.73 Y-3.519
+G1 X29.144 Y-3.464
+G1 X28.56 Y-3.418
+G1 X27.977 Y-3.378
+G1 X27.394 Y-3.345
+G1 X26.813 Y-3.319
+G1 X26.234 Y-3.297
+G1 X25.655 Y-3.281
+G1 X25.078 Y-3.269
+G1 X24.503 Y-3.26
+G1 X23.929 Y-3.255
+G1 X23.356 Y-3.251
+G1 X22.785 Y-3.25
+G1 X22.215 Y-3.25
+G1 X21.647 Y-3.251
+G1 X21.081 Y-3.251
+G1 X20.515 Y-3.252
+G1 X19.952 Y-3.251
+G1 X19.39 Y-3.248
+G1 X18.829 Y-3.244
+G1 X18.269 Y-3.236
+G1 X17.711 Y-3.226
+G1 X17.155 Y-3.211
+G1 X16.6 Y-3.192
+G1 X16.046 Y-3.168
+G1 X15.493 Y-3.139
+G1 X14.942 Y-3.103
+G1 X14.392 Y-3.061
+G1 X13.844 Y-3.012
+G1 X13.297 Y-2.955
+G1 X12.751 Y-2.89
+G1 X12.206 Y-2.816
+G1 X11.663 Y-2.733
+G1 X11.121 Y-2.64
+G1 X10.58 Y-2.537
+G1 X10.041 Y-2.423
+G1 X9.503 Y-2.297
+G1 X8.967 Y-2.16
+G1 X8.432 Y-2.011
+G1 X7.898 Y-1.848
+G1 X7.366 Y-1.672
+G1 X6.835 Y-1.483
+G1 X6.306 Y-1.279
+G1 X5.778 Y-1.06
+G1 X5.252 Y-0.825
+G1 X4.727 Y-0.575
+G1 X4.205 Y-0.308
+G1 X3.684 Y-0.025
+G1 X3.165 Y0.276
+G1 X2.648 Y0.595
+G1 X2.133 Y0.932
+G1 X1.62 Y1.289
+G1 X1.109 Y1.664
+G1 X0.388 Y1.962
+G1 X-0.392 Y1.961
+G1 X-1.113 Y1.662
+G0 Z5
+G0 X-1.669 Y2.493
+G0 Z0
+G1 X-2.496 Y1.664 F1000
+G1 X-2.943 Y0.582
+G1 X-2.942 Y-0.588
+G1 X-2.493 Y-1.669
+G1 X-1.664 Y-2.496
+G1 X-1.016 Y-2.874
+G1 X-0.37 Y-3.233
+G1 X0.275 Y-3.574
+G1 X0.918 Y-3.897
+G1 X1.559 Y-4.204
+G1 X2.198 Y-4.493
+G1 X2.836 Y-4.766
+G1 X3.472 Y-5.024
+G1 X4.106 Y-5.266
+G1 X4.738 Y-5.493
+G1 X5.369 Y-5.706
+G1 X5.998 Y-5.905
+G1 X6.625 Y-6.09
+G1 X7.25 Y-6.262
+G1 X7.874 Y-6.422
+G1 X8.495 Y-6.57
+G1 X9.115 Y-6.707
+G1 X9.732 Y-6.832
+G1 X10.348 Y-6.947
+G1 X10.961 Y-7.051
+G1 X11.573 Y-7.146
+G1 X12.183 Y-7.232
+G1 X12.79 Y-7.31
+G1 X13.396 Y-7.379
+G1 X13.999 Y-7.44
+G1 X14.6 Y-7.495
+G1 X15.199 Y-7.542
+G1 X15.796 Y-7.583
+G1 X16.391 Y-7.619
+G1 X16.984 Y-7.649
+G1 X17.574 Y-7.674
+G1 X18.162 Y-7.695
+G1 X18.748 Y-7.711
+G1 X19.332 Y-7.724
+G1 X19.913 Y-7.734
+G1 X20.492 Y-7.741
+G1 X21.069 Y-7.746
+G1 X21.643 Y-7.749
+G1 X22.215 Y-7.75
+G1 X22.785 Y-7.75
+G1 X23.352 Y-7.749
+G1 X23.917 Y-7.748
+G1 X24.479 Y-7.747
+G1 X25.04 Y-7.746
+G1 X25.598 Y-7.746
+G1 X26.153 Y-7.747
+G1 X26.707 Y-7.75
+G1 X27.258 Y-7.754
+G1 X27.808 Y-7.76
+G1 X28.355 Y-7.769
+G1 X28.9 Y-7.781
+G1 X29.444 Y-7.796
+G1 X29.986 Y-7.814
+G1 X30.527 Y-7.836
+G1 X31.066 Y-7.863
+G1 X31.605 Y-7.894
+G1 X32.142 Y-7.929
+G1 X32.679 Y-7.97
+G1 X33.215 Y-8.017
+G1 X33.752 Y-8.069
+G1 X34.288 Y-8.128
+G1 X34.826 Y-8.193
+G1 X35.364 Y-8.266
+G1 X35.903 Y-8.346
+G1 X36.445 Y-8.434
+G1 X36.988 Y-8.531
+G1 X37.535 Y-8.637
+G1 X38.084 Y-8.752
+G1 X38.636 Y-8.878
+G1 X39.193 Y-9.014
+G1 X39.754 Y-9.162
+G1 X40.319 Y-9.321
+G1 X40.89 Y-9.493
+G1 X41.467 Y-9.679
+G1 X42.049 Y-9.878
+G1 X42.638 Y-10.093
+G1 X43.233 Y-10.323
+G1 X43.836 Y-10.569
+G1 X44.445 Y-10.832
+G1 X44.806 Y-10.981
+G1 X45.196 Y-10.981
+G1 X45.556 Y-10.831
+G1 X45.832 Y-10.555
+G1 X45.981 Y-10.194
+G1 X45.981 Y-9.804
+G1 X45.831 Y-9.444
+G1 X45.555 Y-9.168
+G1 X45.025 Y-8.691
+G1 X44.488 Y-8.234
+G1 X43.944 Y-7.797
+G1 X43.394 Y-7.381
+G1 X42.837 Y-6.984
+G1 X42.274 Y-6.607
+G1 X41.706 Y-6.249
+G1 X41.132 Y-5.91
+G1 X40.554 Y-5.59
+G1 X39.971 Y-5.288
+G1 X39.385 Y-5.004
+G1 X38.795 Y-4.737
+G1 X38.201 Y-4.488
+G1 X37.606 Y-4.256
+G1 X37.008 Y-4.04
+G1 X36.408 Y-3.84
+G1 X35.807 Y-3.655
+G1 X35.205 Y-3.485
+G1 X34.603 Y-3.329
+G1 X34 Y-3.186
+G1 X33.397 Y-3.057
+G1 X32.795 Y-2.94
+G1 X32.193 Y-2.835
+G1 X31.592 Y-2.741
+G1 X30.992 Y-2.658
+G1 X30.393 Y-2.585
+G1 X29.796 Y-2.521
+G1 X29.201 Y-2.466
+G1 X28.607 Y-2.419
+G1 X28.015 Y-2.379
+G1 X27.425 Y-2.346
+G1 X26.837 Y-2.319
+G1 X26.252 Y-2.297
+G1 X25.668 Y-2.281
+G1 X25.087 Y-2.269
+G1 X24.508 Y-2.26
+G1 X23.931 Y-2.255
+G1 X23.357 Y-2.251
+G1 X22.785 Y-2.25
+G1 X22.215 Y-2.25
+G1 X21.648 Y-2.251
+G1 X21.083 Y-2.251
+G1 X20.521 Y-2.252
+G1 X19.96 Y-2.251
+G1 X19.402 Y-2.249
+G1 X18.847 Y-2.244
+G1 X18.293 Y-2.237
+G1 X17.742 Y-2.226
+G1 X17.193 Y-2.212
+G1 X16.647 Y-2.193
+G1 X16.102 Y-2.17
+G1 X15.56 Y-2.141
+G1 X15.02 Y-2.106
+G1 X14.482 Y-2.065
+G1 X13.946 Y-2.017
+G1 X13.412 Y-1.962
+G1 X12.881 Y-1.898
+G1 X12.351 Y-1.826
+G1 X11.823 Y-1.746
+G1 X11.298 Y-1.656
+G1 X10.774 Y-1.556
+G1 X10.253 Y-1.445
+G1 X9.733 Y-1.324
+G1 X9.215 Y-1.191
+G1 X8.699 Y-1.047
+G1 X8.185 Y-0.89
+G1 X7.673 Y-0.721
+G1 X7.163 Y-0.538
+G1 X6.654 Y-0.341
+G1 X6.147 Y-0.13
+G1 X5.642 Y0.095
+G1 X5.139 Y0.336
+G1 X4.637 Y0.593
+G1 X4.137 Y0.867
+G1 X3.639 Y1.157
+G1 X3.143 Y1.464
+G1 X2.648 Y1.79
+G1 X2.155 Y2.133
+G1 X1.664 Y2.496
+G1 X0.582 Y2.943
+G1 X-0.588 Y2.942
+G1 X-1.669 Y2.493
+G0 Z5
+G0 X-2.48 Y3.139
+G0 Z0
+G1 X-0.161 Y3.997 F1000
+G1 X2.219 Y3.328
+G1 X2.69 Y2.978
+G1 X3.163 Y2.647
+G1 X3.638 Y2.333
+G1 X4.113 Y2.037
+G1 X4.591 Y1.758
+G1 X5.07 Y1.495
+G1 X5.55 Y1.248
+G1 X6.033 Y1.016
+G1 X6.517 Y0.799
+G1 X7.003 Y0.596
+G1 X7.49 Y0.407
+G1 X7.98 Y0.231
+G1 X8.473 Y0.067
+G1 X8.967 Y-0.084
+G1 X9.464 Y-0.223
+G1 X9.963 Y-0.351
+G1 X10.464 Y-0.468
+G1 X10.968 Y-0.575
+G1 X11.475 Y-0.671
+G1 X11.984 Y-0.759
+G1 X12.496 Y-0.837
+G1 X13.01 Y-0.907
+G1 X13.528 Y-0.968
+G1 X14.048 Y-1.022
+G1 X14.571 Y-1.069
+G1 X15.098 Y-1.109
+G1 X15.627 Y-1.143
+G1 X16.159 Y-1.171
+G1 X16.694 Y-1.194
+G1 X17.232 Y-1.213
+G1 X17.773 Y-1.227
+G1 X18.317 Y-1.237
+G1 X18.865 Y-1.244
+G1 X19.415 Y-1.249
+G1 X19.969 Y-1.251
+G1 X20.526 Y-1.252
+G1 X21.086 Y-1.251
+G1 X21.649 Y-1.251
+G1 X22.216 Y-1.25
+G1 X22.785 Y-1.25
+G1 X23.358 Y-1.251
+G1 X23.934 Y-1.255
+G1 X24.513 Y-1.26
+G1 X25.096 Y-1.269
+G1 X25.681 Y-1.281
+G1 X26.27 Y-1.298
+G1 X26.861 Y-1.319
+G1 X27.456 Y-1.346
+G1 X28.054 Y-1.38
+G1 X28.654 Y-1.42
+G1 X29.257 Y-1.467
+G1 X29.863 Y-1.523
+G1 X30.471 Y-1.588
+G1 X31.082 Y-1.662
+G1 X31.694 Y-1.747
+G1 X32.308 Y-1.842
+G1 X32.925 Y-1.949
+G1 X33.542 Y-2.068
+G1 X34.16 Y-2.199
+G1 X34.78 Y-2.344
+G1 X35.399 Y-2.504
+G1 X36.019 Y-2.677
+G1 X36.638 Y-2.866
+G1 X37.256 Y-3.071
+G1 X37.873 Y-3.292
+G1 X38.489 Y-3.531
+G1 X39.102 Y-3.786
+G1 X39.713 Y-4.059
+G1 X40.32 Y-4.35
+G1 X40.923 Y-4.66
+G1 X41.523 Y-4.989
+G1 X42.117 Y-5.337
+G1 X42.707 Y-5.705
+G1 X43.29 Y-6.093
+G1 X43.868 Y-6.5
+G1 X44.439 Y-6.928
+G1 X45.003 Y-7.377
+G1 X45.56 Y-7.846
+G1 X46.109 Y-8.336
+G1 X46.961 Y-9.608
+G1 X46.664 Y-11.109
+G1 X45.392 Y-11.961
+G1 X43.891 Y-11.664
+G1 X43.301 Y-11.414
+G1 X42.718 Y-11.18
+G1 X42.143 Y-10.962
+G1 X41.575 Y-10.759
+G1 X41.013 Y-10.57
+G1 X40.458 Y-10.395
+G1 X39.908 Y-10.233
+G1 X39.363 Y-10.082
+G1 X38.823 Y-9.943
+G1 X38.288 Y-9.815
+G1 X37.756 Y-9.697
+G1 X37.227 Y-9.589
+G1 X36.701 Y-9.489
+G1 X36.177 Y-9.398
+G1 X35.655 Y-9.315
+G1 X35.134 Y-9.239
+G1 X34.614 Y-9.171
+G1 X34.095 Y-9.109
+G1 X33.575 Y-9.053
+G1 X33.055 Y-9.004
+G1 X32.534 Y-8.96
+G1 X32.012 Y-8.921
+G1 X31.489 Y-8.887
+G1 X30.964 Y-8.858
+G1 X30.437 Y-8.832
+G1 X29.909 Y-8.811
+G1 X29.378 Y-8.794
+G1 X28.844 Y-8.779
+G1 X28.308 Y-8.768
+G1 X27.769 Y-8.76
+G1 X27.227 Y-8.753
+G1 X26.683 Y-8.749
+G1 X26.135 Y-8.747
+G1 X25.585 Y-8.746
+G1 X25.031 Y-8.746
+G1 X24.474 Y-8.747
+G1 X23.914 Y-8.748
+G1 X23.351 Y-8.749
+G1 X22.784 Y-8.75
+G1 X22.215 Y-8.75
+G1 X21.642 Y-8.749
+G1 X21.066 Y-8.746
+G1 X20.487 Y-8.741
+G1 X19.904 Y-8.734
+G1 X19.319 Y-8.724
+G1 X18.73 Y-8.711
+G1 X18.138 Y-8.695
+G1 X17.543 Y-8.674
+G1 X16.945 Y-8.648
+G1 X16.344 Y-8.618
+G1 X15.74 Y-8.582
+G1 X15.133 Y-8.54
+G1 X14.523 Y-8.492
+G1 X13.91 Y-8.436
+G1 X13.294 Y-8.374
+G1 X12.675 Y-8.303
+G1 X12.053 Y-8.224
+G1 X11.428 Y-8.136
+G1 X10.801 Y-8.038
+G1 X10.171 Y-7.931
+G1 X9.538 Y-7.813
+G1 X8.903 Y-7.684
+G1 X8.265 Y-7.543
+G1 X7.625 Y-7.391
+G1 X6.982 Y-7.226
+G1 X6.338 Y-7.048
+G1 X5.69 Y-6.856
+G1 X5.041 Y-6.651
+G1 X4.39 Y-6.43
+G1 X3.737 Y-6.195
+G1 X3.081 Y-5.945
+G1 X2.424 Y-5.678
+G1 X1.766 Y-5.395
+G1 X1.105 Y-5.095
+G1 X0.444 Y-4.778
+G1 X-0.22 Y-4.443
+G1 X-0.885 Y-4.09
+G1 X-1.551 Y-3.719
+G1 X-2.219 Y-3.328
+G1 X-3.751 Y-1.388
+G1 X-3.851 Y1.082
+G1 X-2.48 Y3.139
+G0 Z5
+M2
@@ -0,0 +1,294 @@
+G21
+G90
+G0 Z5
+G0 X-3.309 Y1.895
+G0 Z0
+G1 X5.327 Y-6.741 F1000
+G0 Z5
+G0 X5.041 Y-6.651
+G0 Z0
+G1 X4.39 Y-6.43 F1000
+G1 X3.737 Y-6.195
+G1 X3.081 Y-5.945
+G1 X2.424 Y-5.678
+G1 X1.766 Y-5.395
+G1 X1.105 Y-5.095
+G1 X0.444 Y-4.778
+G1 X-0.22 Y-4.443
+G1 X-0.885 Y-4.09
+G1 X-1.551 Y-3.719
+G1 X-2.219 Y-3.328
+G1 X-3.751 Y-1.388
+G1 X-3.851 Y1.082
+G1 X-2.48 Y3.139
+G1 X-0.161 Y3.997
+G1 X2.219 Y3.328
+G1 X2.69 Y2.978
+G1 X3.163 Y2.647
+G1 X3.638 Y2.333
+G1 X4.113 Y2.037
+G1 X4.591 Y1.758
+G1 X5.07 Y1.495
+G1 X5.55 Y1.248
+G1 X6.033 Y1.016
+G1 X6.517 Y0.799
+G1 X7.003 Y0.596
+G1 X7.49 Y0.407
+G1 X7.98 Y0.231
+G1 X8.473 Y0.067
+G1 X8.967 Y-0.084
+G1 X9.464 Y-0.223
+G1 X9.963 Y-0.351
+G1 X10.464 Y-0.468
+G1 X10.968 Y-0.575
+G1 X11.475 Y-0.671
+G1 X11.984 Y-0.759
+G1 X12.496 Y-0.837
+G1 X13.01 Y-0.907
+G1 X13.528 Y-0.968
+G1 X14.048 Y-1.022
+G1 X14.571 Y-1.069
+G1 X15.098 Y-1.109
+G1 X15.627 Y-1.143
+G1 X16.159 Y-1.171
+G1 X16.694 Y-1.194
+G1 X17.232 Y-1.213
+G1 X17.773 Y-1.227
+G1 X18.317 Y-1.237
+G1 X18.865 Y-1.244
+G1 X19.415 Y-1.249
+G1 X19.969 Y-1.251
+G1 X20.526 Y-1.252
+G1 X21.086 Y-1.251
+G1 X21.649 Y-1.251
+G1 X22.216 Y-1.25
+G1 X22.785 Y-1.25
+G1 X23.358 Y-1.251
+G1 X23.934 Y-1.255
+G1 X24.513 Y-1.26
+G1 X25.096 Y-1.269
+G1 X25.681 Y-1.281
+G1 X26.27 Y-1.298
+G1 X26.861 Y-1.319
+G1 X27.456 Y-1.346
+G1 X28.054 Y-1.38
+G1 X28.654 Y-1.42
+G1 X29.257 Y-1.467
+G1 X29.863 Y-1.523
+G1 X30.471 Y-1.588
+G1 X31.082 Y-1.662
+G1 X31.694 Y-1.747
+G1 X32.308 Y-1.842
+G1 X32.925 Y-1.949
+G1 X33.542 Y-2.068
+G1 X34.16 Y-2.199
+G1 X34.78 Y-2.344
+G1 X35.399 Y-2.504
+G1 X36.019 Y-2.677
+G1 X36.638 Y-2.866
+G1 X37.256 Y-3.071
+G1 X37.873 Y-3.292
+G1 X38.489 Y-3.531
+G1 X39.102 Y-3.786
+G1 X39.713 Y-4.059
+G1 X40.32 Y-4.35
+G1 X40.923 Y-4.66
+G1 X41.523 Y-4.989
+G1 X42.117 Y-5.337
+G1 X42.707 Y-5.705
+G1 X43.29 Y-6.093
+G1 X43.868 Y-6.5
+G1 X44.439 Y-6.928
+G1 X45.003 Y-7.377
+G1 X45.56 Y-7.846
+G1 X46.109 Y-8.336
+G1 X46.961 Y-9.608
+G1 X46.664 Y-11.109
+G1 X45.392 Y-11.961
+G1 X43.891 Y-11.664
+G1 X43.301 Y-11.414
+G1 X42.718 Y-11.18
+G1 X42.143 Y-10.962
+G1 X41.575 Y-10.759
+G1 X41.013 Y-10.57
+G1 X40.458 Y-10.395
+G1 X39.908 Y-10.233
+G1 X39.363 Y-10.082
+G1 X38.823 Y-9.943
+G1 X38.288 Y-9.815
+G1 X37.756 Y-9.697
+G1 X37.227 Y-9.589
+G1 X36.701 Y-9.489
+G1 X36.177 Y-9.398
+G1 X35.655 Y-9.315
+G1 X35.134 Y-9.239
+G1 X34.614 Y-9.171
+G1 X34.095 Y-9.109
+G1 X33.575 Y-9.053
+G1 X33.055 Y-9.004
+G1 X32.534 Y-8.96
+G1 X32.012 Y-8.921
+G1 X31.489 Y-8.887
+G1 X30.964 Y-8.858
+G1 X30.437 Y-8.832
+G1 X29.909 Y-8.811
+G1 X29.378 Y-8.794
+G1 X28.844 Y-8.779
+G1 X28.308 Y-8.768
+G1 X27.769 Y-8.76
+G1 X27.227 Y-8.753
+G1 X26.683 Y-8.749
+G1 X26.135 Y-8.747
+G1 X25.585 Y-8.746
+G1 X25.031 Y-8.746
+G1 X24.474 Y-8.747
+G1 X23.914 Y-8.748
+G1 X23.351 Y-8.749
+G1 X22.784 Y-8.75
+G1 X22.215 Y-8.75
+G1 X21.642 Y-8.749
+G1 X21.066 Y-8.746
+G1 X20.487 Y-8.741
+G1 X19.904 Y-8.734
+G1 X19.319 Y-8.724
+G1 X18.73 Y-8.711
+G1 X18.138 Y-8.695
+G1 X17.543 Y-8.674
+G1 X16.945 Y-8.648
+G1 X16.344 Y-8.618
+G1 X15.74 Y-8.582
+G1 X15.133 Y-8.54
+G1 X14.523 Y-8.492
+G1 X13.91 Y-8.436
+G1 X13.294 Y-8.374
+G1 X12.675 Y-8.303
+G1 X12.053 Y-8.224
+G1 X11.428 Y-8.136
+G1 X10.801 Y-8.038
+G1 X10.171 Y-7.931
+G1 X9.538 Y-7.813
+G1 X8.903 Y-7.684
+G1 X8.265 Y-7.543
+G1 X7.625 Y-7.391
+G1 X6.982 Y-7.226
+G1 X6.338 Y-7.048
+G1 X5.69 Y-6.856
+G1 X5.041 Y-6.651
+G0 Z5
+G0 X3.138 Y-5.966
+G0 Z0
+G1 X-3.848 Y1.02 F1000
+G0 Z5
+G0 X-3.789 Y-0.454
+G0 Z0
+G1 X0.62 Y-4.862 F1000
+G0 Z5
+G0 X7.31 Y-7.31
+G0 Z0
+G1 X-2.743 Y2.743 F1000
+G0 Z5
+G0 X-1.928 Y3.343
+G0 Z0
+G1 X9.148 Y-7.734 F1000
+G0 Z5
+G0 X10.879 Y-8.05
+G0 Z0
+G1 X-0.896 Y3.725 F1000
+G0 Z5
+G0 X0.405 Y3.838
+G0 Z0
+G1 X12.527 Y-8.284 F1000
+G0 Z5
+G0 X14.111 Y-8.454
+G0 Z0
+G1 X2.645 Y3.012 F1000
+G0 Z5
+G0 X6.073 Y0.998
+G0 Z0
+G1 X15.646 Y-8.575 F1000
+G0 Z5
+G0 X17.142 Y-8.657
+G0 Z0
+G1 X8.391 Y0.095 F1000
+G0 Z5
+G0 X10.338 Y-0.438
+G0 Z0
+G1 X18.607 Y-8.708 F1000
+G0 Z5
+G0 X20.05 Y-8.736
+G0 Z0
+G1 X12.088 Y-0.775 F1000
+G0 Z5
+G0 X13.716 Y-0.988
+G0 Z0
+G1 X21.476 Y-8.748 F1000
+G0 Z5
+G0 X22.892 Y-8.75
+G0 Z0
+G1 X15.262 Y-1.12 F1000
+G0 Z5
+G0 X16.753 Y-1.196
+G0 Z0
+G1 X24.304 Y-8.747 F1000
+G0 Z5
+G0 X25.717 Y-8.746
+G0 Z0
+G1 X18.205 Y-1.235 F1000
+G0 Z5
+G0 X19.634 Y-1.25
+G0 Z0
+G1 X27.137 Y-8.753 F1000
+G0 Z5
+G0 X28.573 Y-8.774
+G0 Z0
+G1 X21.051 Y-1.252 F1000
+G0 Z5
+G0 X22.463 Y-1.25
+G0 Z0
+G1 X30.029 Y-8.816 F1000
+G0 Z5
+G0 X31.516 Y-8.889
+G0 Z0
+G1 X23.882 Y-1.254 F1000
+G0 Z5
+G0 X25.315 Y-1.273
+G0 Z0
+G1 X33.045 Y-9.003 F1000
+G0 Z5
+G0 X34.629 Y-9.173
+G0 Z0
+G1 X26.772 Y-1.316 F1000
+G0 Z5
+G0 X28.264 Y-1.394
+G0 Z0
+G1 X36.287 Y-9.417 F1000
+G0 Z5
+G0 X38.046 Y-9.761
+G0 Z0
+G1 X29.802 Y-1.518 F1000
+G0 Z5
+G0 X31.405 Y-1.707
+G0 Z0
+G1 X39.941 Y-10.242 F1000
+G0 Z5
+G0 X42.036 Y-10.924
+G0 Z0
+G1 X33.094 Y-1.981 F1000
+G0 Z5
+G0 X34.903 Y-2.376
+G0 Z0
+G1 X44.265 Y-11.738 F1000
+G0 Z5
+G0 X45.698 Y-11.757
+G0 Z0
+G1 X36.892 Y-2.95 F1000
+G0 Z5
+G0 X39.173 Y-3.818
+G0 Z0
+G1 X46.545 Y-11.189 F1000
+G0 Z5
+G0 X46.865 Y-10.095
+G0 Z0
+G1 X42.093 Y-5.323 F1000
+G0 Z5
+M2
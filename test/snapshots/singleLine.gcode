@@ -0,0 +1,524 @@
+G21
+G90
+G0 Z5
+G0 X0 Y0
+G0 Z0
+G1 X0.57 Y-0.37 F1000
+G1 X1.139 Y-0.722
+G1 X1.709 Y-1.055
+G1 X2.278 Y-1.37
+G1 X2.848 Y-1.669
+G1 X3.418 Y-1.95
+G1 X3.987 Y-2.215
+G1 X4.557 Y-2.464
+G1 X5.127 Y-2.698
+G1 X5.696 Y-2.917
+G1 X6.266 Y-3.122
+G1 X6.835 Y-3.313
+G1 X7.405 Y-3.49
+G1 X7.975 Y-3.655
+G1 X8.544 Y-3.807
+G1 X9.114 Y-3.947
+G1 X9.684 Y-4.076
+G1 X10.253 Y-4.194
+G1 X10.823 Y-4.301
+G1 X11.392 Y-4.398
+G1 X11.962 Y-4.486
+G1 X12.532 Y-4.565
+G1 X13.101 Y-4.636
+G1 X13.671 Y-4.698
+G1 X14.241 Y-4.753
+G1 X14.81 Y-4.8
+G1 X15.38 Y-4.842
+G1 X15.949 Y-4.877
+G1 X16.519 Y-4.906
+G1 X17.089 Y-4.93
+G1 X17.658 Y-4.95
+G1 X18.228 Y-4.966
+G1 X18.797 Y-4.978
+G1 X19.367 Y-4.987
+G1 X19.937 Y-4.993
+G1 X20.506 Y-4.997
+G1 X21.076 Y-4.999
+G1 X21.646 Y-5
+G1 X22.215 Y-5
+G1 X22.785 Y-5
+G1 X23.354 Y-5
+G1 X23.924 Y-5.001
+G1 X24.494 Y-5.003
+G1 X25.063 Y-5.007
+G1 X25.633 Y-5.013
+G1 X26.203 Y-5.022
+G1 X26.772 Y-5.034
+G1 X27.342 Y-5.05
+G1 X27.911 Y-5.07
+G1 X28.481 Y-5.094
+G1 X29.051 Y-5.123
+G1 X29.62 Y-5.158
+G1 X30.19 Y-5.2
+G1 X30.759 Y-5.247
+G1 X31.329 Y-5.302
+G1 X31.899 Y-5.364
+G1 X32.468 Y-5.435
+G1 X33.038 Y-5.514
+G1 X33.608 Y-5.602
+G1 X34.177 Y-5.699
+G1 X34.747 Y-5.806
+G1 X35.316 Y-5.924
+G1 X35.886 Y-6.053
+G1 X36.456 Y-6.193
+G1 X37.025 Y-6.345
+G1 X37.595 Y-6.51
+G1 X38.165 Y-6.687
+G1 X38.734 Y-6.878
+G1 X39.304 Y-7.083
+G1 X39.873 Y-7.302
+G1 X40.443 Y-7.536
+G1 X41.013 Y-7.785
+G1 X41.582 Y-8.05
+G1 X42.152 Y-8.331
+G1 X42.722 Y-8.63
+G1 X43.291 Y-8.945
+G1 X43.861 Y-9.278
+G1 X44.43 Y-9.63
+G1 X45 Y-10
+G0 Z5
+G0 X45.555 Y-9.168
+G0 Z0
+G1 X44.965 Y-8.785 F1000
+G1 X44.376 Y-8.421
+G1 X43.786 Y-8.076
+G1 X43.196 Y-7.749
+G1 X42.605 Y-7.44
+G1 X42.015 Y-7.148
+G1 X41.424 Y-6.874
+G1 X40.833 Y-6.615
+G1 X40.243 Y-6.373
+G1 X39.652 Y-6.145
+G1 X39.062 Y-5.933
+G1 X38.472 Y-5.736
+G1 X37.882 Y-5.552
+G1 X37.293 Y-5.382
+G1 X36.704 Y-5.224
+G1 X36.116 Y-5.08
+G1 X35.528 Y-4.947
+G1 X34.941 Y-4.825
+G1 X34.354 Y-4.715
+G1 X33.768 Y-4.615
+G1 X33.183 Y-4.524
+G1 X32.598 Y-4.443
+G1 X32.014 Y-4.371
+G1 X31.431 Y-4.307
+G1 X30.849 Y-4.251
+G1 X30.268 Y-4.203
+G1 X29.687 Y-4.161
+G1 X29.107 Y-4.125
+G1 X28.528 Y-4.095
+G1 X27.95 Y-4.07
+G1 X27.373 Y-4.05
+G1 X26.796 Y-4.035
+G1 X26.221 Y-4.022
+G1 X25.646 Y-4.014
+G1 X25.072 Y-4.007
+G1 X24.499 Y-4.003
+G1 X23.927 Y-4.001
+G1 X23.355 Y-4
+G1 X22.785 Y-4
+G1 X22.215 Y-4
+G1 X21.647 Y-4
+G1 X21.079 Y-3.999
+G1 X20.512 Y-3.997
+G1 X19.945 Y-3.993
+G1 X19.38 Y-3.987
+G1 X18.816 Y-3.978
+G1 X18.252 Y-3.966
+G1 X17.689 Y-3.951
+G1 X17.127 Y-3.931
+G1 X16.566 Y-3.907
+G1 X16.006 Y-3.878
+G1 X15.446 Y-3.844
+G1 X14.888 Y-3.803
+G1 X14.33 Y-3.757
+G1 X13.773 Y-3.703
+G1 X13.217 Y-3.642
+G1 X12.661 Y-3.574
+G1 X12.107 Y-3.497
+G1 X11.553 Y-3.411
+G1 X11 Y-3.317
+G1 X10.447 Y-3.213
+G1 X9.895 Y-3.098
+G1 X9.344 Y-2.974
+G1 X8.793 Y-2.838
+G1 X8.242 Y-2.691
+G1 X7.692 Y-2.532
+G1 X7.143 Y-2.361
+G1 X6.594 Y-2.177
+G1 X6.045 Y-1.98
+G1 X5.496 Y-1.769
+G1 X4.947 Y-1.544
+G1 X4.399 Y-1.304
+G1 X3.85 Y-1.048
+G1 X3.301 Y-0.777
+G1 X2.753 Y-0.49
+G1 X2.204 Y-0.186
+G1 X1.654 Y0.135
+G1 X1.105 Y0.475
+G1 X0.555 Y0.832
+G0 Z5
+G0 X1.109 Y1.664
+G0 Z0
+G1 X1.64 Y1.319 F1000
+G1 X2.169 Y0.993
+G1 X2.698 Y0.683
+G1 X3.227 Y0.391
+G1 X3.755 Y0.114
+G1 X4.282 Y-0.147
+G1 X4.81 Y-0.392
+G1 X5.338 Y-0.623
+G1 X5.865 Y-0.84
+G1 X6.393 Y-1.043
+G1 X6.922 Y-1.232
+G1 X7.45 Y-1.41
+G1 X7.98 Y-1.575
+G1 X8.51 Y-1.728
+G1 X9.041 Y-1.87
+G1 X9.573 Y-2.001
+G1 X10.106 Y-2.121
+G1 X10.641 Y-2.232
+G1 X11.176 Y-2.333
+G1 X11.713 Y-2.424
+G1 X12.251 Y-2.507
+G1 X12.791 Y-2.582
+G1 X13.332 Y-2.649
+G1 X13.875 Y-2.708
+G1 X14.419 Y-2.761
+G1 X14.965 Y-2.806
+G1 X15.513 Y-2.846
+G1 X16.062 Y-2.88
+G1 X16.613 Y-2.908
+G1 X17.166 Y-2.932
+G1 X17.72 Y-2.951
+G1 X18.276 Y-2.966
+G1 X18.834 Y-2.978
+G1 X19.393 Y-2.987
+G1 X19.954 Y-2.993
+G1 X20.517 Y-2.997
+G1 X21.081 Y-2.999
+G1 X21.647 Y-3
+G1 X22.215 Y-3
+G1 X22.785 Y-3
+G1 X23.356 Y-3
+G1 X23.929 Y-3.001
+G1 X24.504 Y-3.004
+G1 X25.081 Y-3.007
+G1 X25.659 Y-3.014
+G1 X26.239 Y-3.023
+G1 X26.82 Y-3.035
+G1 X27.403 Y-3.051
+G1 X27.988 Y-3.071
+G1 X28.575 Y-3.096
+G1 X29.163 Y-3.127
+G1 X29.753 Y-3.163
+G1 X30.345 Y-3.206
+G1 X30.938 Y-3.255
+G1 X31.533 Y-3.313
+G1 X32.13 Y-3.378
+G1 X32.728 Y-3.452
+G1 X33.327 Y-3.535
+G1 X33.928 Y-3.627
+G1 X34.531 Y-3.73
+G1 X35.134 Y-3.844
+G1 X35.739 Y-3.969
+G1 X36.345 Y-4.106
+G1 X36.953 Y-4.256
+G1 X37.561 Y-4.418
+G1 X38.17 Y-4.594
+G1 X38.78 Y-4.784
+G1 X39.39 Y-4.989
+G1 X40.001 Y-5.208
+G1 X40.612 Y-5.443
+G1 X41.224 Y-5.694
+G1 X41.835 Y-5.962
+G1 X42.447 Y-6.247
+G1 X43.059 Y-6.549
+G0 Z5
+G0 X41.245 Y-10.114
+G0 Z0
+G1 X40.718 Y-9.853 F1000
+G1 X40.19 Y-9.608
+G1 X39.662 Y-9.377
+G1 X39.135 Y-9.16
+G1 X38.607 Y-8.957
+G1 X38.078 Y-8.768
+G1 X37.55 Y-8.59
+G1 X37.02 Y-8.425
+G1 X36.49 Y-8.272
+G1 X35.959 Y-8.13
+G1 X35.427 Y-7.999
+G1 X34.894 Y-7.879
+G1 X34.359 Y-7.768
+G1 X33.824 Y-7.667
+G1 X33.287 Y-7.576
+G1 X32.749 Y-7.493
+G1 X32.209 Y-7.418
+G1 X31.668 Y-7.351
+G1 X31.125 Y-7.292
+G1 X30.581 Y-7.239
+G1 X30.035 Y-7.194
+G1 X29.487 Y-7.154
+G1 X28.938 Y-7.12
+G1 X28.387 Y-7.092
+G1 X27.834 Y-7.068
+G1 X27.28 Y-7.049
+G1 X26.724 Y-7.034
+G1 X26.166 Y-7.022
+G1 X25.607 Y-7.013
+G1 X25.046 Y-7.007
+G1 X24.483 Y-7.003
+G1 X23.919 Y-7.001
+G1 X23.353 Y-7
+G1 X22.785 Y-7
+G1 X22.215 Y-7
+G1 X21.644 Y-7
+G1 X21.071 Y-6.999
+G1 X20.496 Y-6.996
+G1 X19.919 Y-6.993
+G1 X19.341 Y-6.986
+G1 X18.761 Y-6.977
+G1 X18.18 Y-6.965
+G1 X17.597 Y-6.949
+G1 X17.012 Y-6.929
+G1 X16.425 Y-6.904
+G1 X15.837 Y-6.873
+G1 X15.247 Y-6.837
+G1 X14.655 Y-6.794
+G1 X14.062 Y-6.745
+G1 X13.467 Y-6.687
+G1 X12.87 Y-6.622
+G1 X12.272 Y-6.548
+G1 X11.673 Y-6.465
+G1 X11.072 Y-6.373
+G1 X10.469 Y-6.27
+G1 X9.866 Y-6.156
+G1 X9.261 Y-6.031
+G1 X8.655 Y-5.894
+G1 X8.047 Y-5.744
+G1 X7.439 Y-5.582
+G1 X6.83 Y-5.406
+G1 X6.22 Y-5.216
+G1 X5.61 Y-5.011
+G1 X4.999 Y-4.792
+G1 X4.388 Y-4.557
+G1 X3.776 Y-4.306
+G1 X3.165 Y-4.038
+G1 X2.553 Y-3.753
+G1 X1.941 Y-3.451
+G1 X1.33 Y-3.131
+G1 X0.719 Y-2.793
+G1 X0.109 Y-2.436
+G1 X-0.5 Y-2.06
+G1 X-1.109 Y-1.664
+G0 Z5
+G0 X-0.555 Y-0.832
+G0 Z0
+G1 X0.035 Y-1.215 F1000
+G1 X0.624 Y-1.579
+G1 X1.214 Y-1.924
+G1 X1.804 Y-2.251
+G1 X2.395 Y-2.56
+G1 X2.985 Y-2.852
+G1 X3.576 Y-3.126
+G1 X4.167 Y-3.385
+G1 X4.757 Y-3.627
+G1 X5.348 Y-3.855
+G1 X5.938 Y-4.067
+G1 X6.528 Y-4.264
+G1 X7.118 Y-4.448
+G1 X7.707 Y-4.618
+G1 X8.296 Y-4.776
+G1 X8.884 Y-4.92
+G1 X9.472 Y-5.053
+G1 X10.059 Y-5.175
+G1 X10.646 Y-5.285
+G1 X11.232 Y-5.385
+G1 X11.817 Y-5.476
+G1 X12.402 Y-5.557
+G1 X12.986 Y-5.629
+G1 X13.569 Y-5.693
+G1 X14.151 Y-5.749
+G1 X14.732 Y-5.797
+G1 X15.313 Y-5.839
+G1 X15.893 Y-5.875
+G1 X16.472 Y-5.905
+G1 X17.05 Y-5.93
+G1 X17.627 Y-5.95
+G1 X18.204 Y-5.965
+G1 X18.779 Y-5.978
+G1 X19.354 Y-5.986
+G1 X19.928 Y-5.993
+G1 X20.501 Y-5.997
+G1 X21.073 Y-5.999
+G1 X21.645 Y-6
+G1 X22.215 Y-6
+G1 X22.785 Y-6
+G1 X23.353 Y-6
+G1 X23.921 Y-6.001
+G1 X24.488 Y-6.003
+G1 X25.055 Y-6.007
+G1 X25.62 Y-6.013
+G1 X26.184 Y-6.022
+G1 X26.748 Y-6.034
+G1 X27.311 Y-6.049
+G1 X27.873 Y-6.069
+G1 X28.434 Y-6.093
+G1 X28.994 Y-6.122
+G1 X29.554 Y-6.156
+G1 X30.112 Y-6.197
+G1 X30.67 Y-6.243
+G1 X31.227 Y-6.297
+G1 X31.783 Y-6.358
+G1 X32.339 Y-6.426
+G1 X32.893 Y-6.503
+G1 X33.447 Y-6.589
+G1 X34 Y-6.683
+G1 X34.553 Y-6.787
+G1 X35.105 Y-6.902
+G1 X35.656 Y-7.026
+G1 X36.207 Y-7.162
+G1 X36.758 Y-7.309
+G1 X37.308 Y-7.468
+G1 X37.857 Y-7.639
+G1 X38.406 Y-7.823
+G1 X38.955 Y-8.02
+G1 X39.504 Y-8.231
+G1 X40.053 Y-8.456
+G1 X40.601 Y-8.696
+G1 X41.15 Y-8.952
+G1 X41.699 Y-9.223
+G1 X42.247 Y-9.51
+G1 X42.796 Y-9.814
+G1 X43.346 Y-10.135
+G1 X43.895 Y-10.475
+G1 X44.445 Y-10.832
+G0 Z5
+G0 X32.079 Y-8.409
+G0 Z0
+G1 X31.552 Y-8.344 F1000
+G1 X31.023 Y-8.286
+G1 X30.491 Y-8.235
+G1 X29.957 Y-8.191
+G1 X29.42 Y-8.152
+G1 X28.881 Y-8.119
+G1 X28.34 Y-8.091
+G1 X27.796 Y-8.067
+G1 X27.249 Y-8.048
+G1 X26.7 Y-8.033
+G1 X26.148 Y-8.022
+G1 X25.594 Y-8.013
+G1 X25.037 Y-8.007
+G1 X24.478 Y-8.003
+G1 X23.916 Y-8.001
+G1 X23.352 Y-8
+G1 X22.784 Y-8
+G1 X22.215 Y-8
+G1 X21.643 Y-8
+G1 X21.068 Y-7.999
+G1 X20.491 Y-7.996
+G1 X19.911 Y-7.992
+G1 X19.328 Y-7.986
+G1 X18.743 Y-7.977
+G1 X18.156 Y-7.965
+G1 X17.566 Y-7.949
+G1 X16.973 Y-7.928
+G1 X16.378 Y-7.903
+G1 X15.78 Y-7.872
+G1 X15.18 Y-7.835
+G1 X14.577 Y-7.791
+G1 X13.972 Y-7.741
+G1 X13.365 Y-7.682
+G1 X12.755 Y-7.615
+G1 X12.142 Y-7.54
+G1 X11.528 Y-7.455
+G1 X10.911 Y-7.36
+G1 X10.293 Y-7.254
+G1 X9.672 Y-7.137
+G1 X9.049 Y-7.008
+G1 X8.425 Y-6.867
+G1 X7.799 Y-6.713
+G1 X7.172 Y-6.545
+G1 X6.543 Y-6.364
+G1 X5.913 Y-6.167
+G1 X5.282 Y-5.956
+G1 X4.651 Y-5.729
+G1 X4.018 Y-5.486
+G1 X3.386 Y-5.226
+G1 X2.753 Y-4.949
+G1 X2.121 Y-4.655
+G1 X1.488 Y-4.343
+G1 X0.856 Y-4.012
+G1 X0.225 Y-3.662
+G1 X-0.406 Y-3.293
+G1 X-1.036 Y-2.905
+G1 X-1.664 Y-2.496
+G0 Z5
+G0 X1.664 Y2.496
+G0 Z0
+G1 X2.175 Y2.164 F1000
+G1 X2.684 Y1.85
+G1 X3.193 Y1.552
+G1 X3.701 Y1.271
+G1 X4.208 Y1.006
+G1 X4.715 Y0.755
+G1 X5.221 Y0.519
+G1 X5.728 Y0.298
+G1 X6.235 Y0.09
+G1 X6.742 Y-0.105
+G1 X7.249 Y-0.288
+G1 X7.758 Y-0.458
+G1 X8.267 Y-0.617
+G1 X8.778 Y-0.764
+G1 X9.29 Y-0.901
+G1 X9.803 Y-1.027
+G1 X10.318 Y-1.144
+G1 X10.834 Y-1.251
+G1 X11.353 Y-1.348
+G1 X11.874 Y-1.437
+G1 X12.396 Y-1.518
+G1 X12.921 Y-1.591
+G1 X13.448 Y-1.656
+G1 X13.977 Y-1.714
+G1 X14.509 Y-1.765
+G1 X15.043 Y-1.809
+G1 X15.58 Y-1.848
+G1 X16.119 Y-1.881
+G1 X16.66 Y-1.909
+G1 X17.204 Y-1.933
+G1 X17.751 Y-1.952
+G1 X18.3 Y-1.967
+G1 X18.852 Y-1.978
+G1 X19.406 Y-1.987
+G1 X19.963 Y-1.993
+G1 X20.522 Y-1.997
+G1 X21.084 Y-1.999
+G1 X21.648 Y-2
+G1 X22.216 Y-2
+G1 X22.785 Y-2
+G1 X23.357 Y-2
+G1 X23.932 Y-2.001
+G1 X24.509 Y-2.004
+G1 X25.089 Y-2.008
+G1 X25.672 Y-2.014
+G1 X26.257 Y-2.023
+G1 X26.844 Y-2.035
+G1 X27.434 Y-2.051
+G1 X28.027 Y-2.072
+G1 X28.622 Y-2.097
+G1 X29.22 Y-2.128
+G1 X29.82 Y-2.165
+G1 X30.423 Y-2.209
+G1 X31.028 Y-2.259
+G1 X31.635 Y-2.318
+G1 X32.245 Y-2.385
+G1 X32.858 Y-2.46
+G0 Z5
+M2